@@ -0,0 +1,49 @@
+/**
+ * Time lex.js on increasing amounts of code, to check that lexing time grows linearly with the length of the code.
+ * The code is expect.js's own source, repeated.
+ *
+ * @example
+ * # Prints the time for each size, which should stay about the same per KB.
+ * node benchmark.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+(async () => {
+	const src = path.join(__dirname, '../src');
+	const {default: lex, relex} = await import('../src/lex.js');
+	const {default: lexHtmlJs} = await import('../src/lex-htmljs.js');
+
+	// Join on ; so that each file starts a new statement.
+	let unit = fs.readdirSync(src).filter(name => name.endsWith('.js'))
+		.map(name => fs.readFileSync(path.join(src, name), 'utf8')).join('\n;\n');
+
+	let time = code => {
+		let start = process.hrtime.bigint();
+		let tokens = lex(lexHtmlJs, code, 'js');
+		return [Number(process.hrtime.bigint() - start) / 1e6, tokens.length];
+	};
+	for (let i=0; i<5; i++) // Warm up.
+		time(unit);
+
+	console.log('Size'.padStart(8) + 'Tokens'.padStart(10) + 'ms'.padStart(10) + 'ms/MB'.padStart(10));
+	for (let kb = 128; kb <= 2048; kb *= 2) {
+		let code = unit.repeat(Math.ceil(kb * 1024 / unit.length));
+		let [ms, tokens] = time(code);
+		let mb = code.length / 1024 / 1024;
+		console.log(`${Math.round(code.length / 1024)}KB`.padStart(8) + `${tokens}`.padStart(10) +
+			ms.toFixed(0).padStart(10) + (ms / mb).toFixed(0).padStart(10));
+	}
+
+	// Typing a character in the middle of the code should take much less time to relex() than lexing it all.
+	console.log('\n' + 'Size'.padStart(8) + 'relex ms'.padStart(10));
+	for (let kb = 128; kb <= 2048; kb *= 2) {
+		let code = unit.repeat(Math.ceil(kb * 1024 / unit.length));
+		let tokens = relex(lexHtmlJs, [], {offset: 0, inserted: code}, 'js');
+		let offset = code.indexOf('\n', code.length / 2) + 1;
+		let start = process.hrtime.bigint();
+		relex(lexHtmlJs, tokens, {offset, inserted: ' '}, 'js');
+		let ms = Number(process.hrtime.bigint() - start) / 1e6;
+		console.log(`${Math.round(code.length / 1024)}KB`.padStart(8) + ms.toFixed(1).padStart(10));
+	}
+})();
@@ -0,0 +1,40 @@
+/**
+ * Check that lex.js can lex real world code, and that joining the tokens gives back exactly the original code.
+ * The code is every file in corpus/, which are from npm packages except syntax.js, and expect.js's own source.
+ * TypeScript files are lexed in the ts mode.
+ *
+ * @example
+ * # Prints each file that fails, and exits with 1 if any do.
+ * node conformance.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+(async () => {
+	const {default: lex} = await import('../src/lex.js');
+	const {default: lexHtmlJs} = await import('../src/lex-htmljs.js');
+
+	let files = ['corpus', '../src'].flatMap(dir => fs.readdirSync(path.join(__dirname, dir))
+		.filter(name => /\.[mc]?[jt]s$/.test(name))
+		.map(name => path.join(__dirname, dir, name)));
+
+	let failed = 0;
+	for (let file of files) {
+		let code = fs.readFileSync(file, 'utf8');
+		let error;
+		try {
+			if (lex(lexHtmlJs, code, /\.[mc]?ts$/.test(file) ? 'ts' : 'js').join('') !== code)
+				error = 'The tokens join to different code';
+		}
+		catch (e) {
+			error = e.message;
+		}
+		if (error) {
+			failed++;
+			console.log(`${path.relative(__dirname, file)}: ${error}`);
+		}
+	}
+
+	console.log(`${files.length - failed} of ${files.length} files lexed and round tripped.`);
+	process.exitCode = failed ? 1 : 0;
+})();
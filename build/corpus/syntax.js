@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Syntax from the ECMAScript lexical grammar that the other files don't happen to use.
+
+let big = 10n, hex = 0xFF_FFn, bin = 0b1010_0101, oct = 0o7_7, small = 1e-5, large = 1_000_000.5e+3, half = .5;
+let abc = 1, \u{62}cd = 2, café = 3;
+let total = (a, b) => a ?? b?.c ?? b?.[0] ?? b?.(1);
+big **= 2n;
+total ||= total &&= total ??= null;
+let shifted = 1 >>> 2;
+shifted >>>= 3;
+
+class Counter {
+	#count = 0;
+	static #instances = 0;
+	get count() { return this.#count; }
+	has(other) { return #count in other; }
+}
+
+function regexes(x) {
+	if (x) /a/.test(x);
+	while (x) /b/g.exec(x);
+	let y = typeof /c/;
+	let z = x.typeof / 2 / 3; // Division, since typeof is a property.
+	let w = x?.in / 2 / 3;
+	let classes = /[/\]]+\/[^/]/u;
+	return /d/i;
+}
+
+let tagged = html`<div class="${'a'}" onclick=${() => 1}>${[1, 2].map(i => html`<b>${i}</b>`)}</div>`;
+let nested = `a ${`b ${'c'} d`} e ${{x: 1}.x}`;
+label: for (let a of [1]) { continue label; }
+/* A comment
+   across lines */ let afterComment = 1 / 2 / 3;
@@ -0,0 +1,206 @@
+/**
+ * Options can be set in an expect.config.json or expect.config.js file, found by walking up from each file,
+ * and in @expect-config tags in the first DocComment of a file, which apply only to that file.
+ * Tags take precedence over config files, and options given on the command line take precedence over both.
+ */
+import runtime from './runtime.js';
+
+// Names of config files, in the order they're looked for in each directory.
+export let configFiles = ['expect.config.json', 'expect.config.js'];
+
+// Type of each option.  Paths are relative to the config file, or to the file with the @expect-config tag.
+let optionTypes = {
+	include: 'strings', // Globs.
+	exclude: 'strings',
+	reporter: 'string',
+	timeout: 'int',
+	dom: 'string', // 'none', 'jsdom', or a path.
+	isolate: 'string',
+	setup: 'paths', // Modules to import before each file.
+	importMap: 'path',
+	permissions: 'strings' // Deno permission names, like 'read' or 'net'.
+};
+
+// Options that can be set by @expect-config tags.  The rest apply to the whole run.
+let fileOptions = ['timeout', 'dom', 'isolate', 'setup', 'importMap', 'permissions'];
+
+var Config = {
+
+	/**
+	 * Options used when neither the command line nor any config sets them.
+	 * importMap is the {imports:Object<string, string>} loaded from the file, with relative urls resolved. */
+	defaults: {include: [], exclude: [], reporter: 'text', timeout: 5000, dom: 'jsdom', isolate: null, setup: [], importMap: null,
+		permissions: []},
+
+	// Directory -> Promise of the options of the config file that applies to it.
+	cache: new Map(),
+
+	/**
+	 * Combine options.  Undefined values and empty arrays don't replace earlier values,
+	 * and exclude globs from every source are kept.
+	 * @param sources {object[]} Later sources take precedence.
+	 * @return {object} */
+	merge(...sources) {
+		let result = {};
+		for (let source of sources)
+			for (let name in source) {
+				let value = source[name];
+				if (name === 'exclude')
+					result.exclude = [...(result.exclude || []), ...(value || [])];
+				else if (value !== undefined && !(Array.isArray(value) && !value.length && name in result))
+					result[name] = value;
+			}
+		return result;
+	},
+
+	/**
+	 * Find the nearest config file in the directory of a path, or in any directory above it, and load its options.
+	 * @param path {string} A file or directory.
+	 * @return {Promise<object>} Empty if there's no config file.
+	 * @throws {Error} If the config file is invalid. */
+	find(path) {
+		let dir = runtime.resolve(path);
+		try {
+			if (!runtime.stat(dir).isDirectory)
+				dir = runtime.dirname(dir);
+		}
+		catch (e) { // Doesn't exist, e.g. a glob.
+			dir = runtime.dirname(dir);
+		}
+
+		if (!Config.cache.has(dir))
+			Config.cache.set(dir, (async () => {
+				for (let name of configFiles) {
+					let file = dir + (dir.endsWith('/') ? '' : '/') + name;
+					try {
+						if (!runtime.stat(file).isFile)
+							continue;
+					}
+					catch (e) {
+						continue;
+					}
+					return Config.load(file);
+				}
+				let parent = runtime.dirname(dir);
+				return parent === dir ? {} : Config.find(parent);
+			})());
+		return Config.cache.get(dir);
+	},
+
+	/**
+	 * @param file {string} Absolute path of an expect.config.json or expect.config.js file.
+	 * @return {Promise<object>}
+	 * @throws {Error} If it can't be parsed or has invalid options. */
+	async load(file) {
+		let options;
+		try {
+			options = file.endsWith('.json')
+				? JSON.parse(runtime.readTextFile(file))
+				: (await import(runtime.toFileUrl(file))).default;
+		}
+		catch (e) {
+			throw new Error(`Invalid config file ${file}: ${e.message}`);
+		}
+		if (!options || typeof options !== 'object' || Array.isArray(options))
+			throw new Error(`Invalid config file ${file}: must be an object`);
+		return Config.validate(options, runtime.dirname(file), Object.keys(optionTypes), file);
+	},
+
+	/**
+	 * Get the options from @expect-config tags in the first DocComment of a file, before any code.
+	 * Each is written as name=value, and arrays are separated by commas, e.g. "@expect-config timeout=10000 setup=a.js,b.js"
+	 * @param tokens {Token[]}
+	 * @param file {string} Relative paths are relative to its directory.
+	 * @return {object}
+	 * @throws {Error} If an option is invalid.  The message doesn't include the file. */
+	fromTags(tokens, file) {
+		let header = tokens.find(token => !['whitespace', 'ln', 'comment', 'hashbang'].includes(token.type) ||
+			(token.type === 'comment' && token.startsWith('/**')));
+		if (!header || header.type !== 'comment')
+			return {};
+
+		let options = {};
+		for (let [, text] of header.matchAll(/^[\s*]*@expect-config\b([^\r\n@]*)/gm)) // At the start of a line.
+			for (let option of text.replace(/\*\/$/, '').split(/\s+/).filter(Boolean)) {
+				let [, name, value] = option.match(/^(\w+)=(.*)$/) || [];
+				if (!name)
+					throw new Error(`Invalid option ${option} in @expect-config`);
+				let type = optionTypes[name];
+				options[name] = type === 'int' && /^\d+$/.test(value) ? Number(value) :
+					type === 'paths' || type === 'strings' ? value.split(',') : value;
+			}
+		return Config.validate(options, runtime.dirname(runtime.resolve(file)), fileOptions, '@expect-config');
+	},
+
+	/**
+	 * Check the types of options, and resolve their paths.
+	 * @param options {object}
+	 * @param dir {string} Absolute path that relative paths are relative to.
+	 * @param allowed {string[]} Names of options that can be set.
+	 * @param source {string} File the options came from, for error messages.
+	 * @return {object}
+	 * @throws {Error} */
+	validate(options, dir, allowed, source) {
+		let result = {};
+		for (let [name, value] of Object.entries(options)) {
+			let type = optionTypes[name];
+			let valid =
+				type === 'string' || type === 'path' ? typeof value === 'string' && value !== '' :
+				type === 'int' ? Number.isInteger(value) && value >= 0 :
+				Array.isArray(value) && value.every(item => typeof item === 'string');
+			if (!allowed.includes(name))
+				throw new Error(`Unknown option ${name} in ${source}`);
+			if (!valid)
+				throw new Error(`Invalid option ${name}: ${JSON.stringify(value)} in ${source}`);
+
+			if (name === 'isolate' && !['expect', 'comment'].includes(value))
+				throw new Error(`Invalid option ${name}: ${JSON.stringify(value)} in ${source}`);
+			if (name === 'dom' && !['none', 'jsdom'].includes(value))
+				value = runtime.resolve(dir, value);
+			else if (type === 'paths')
+				value = value.map(path => runtime.resolve(dir, path));
+			else if (name === 'importMap')
+				value = Config.loadImportMap(runtime.resolve(dir, value));
+			else if (name === 'permissions')
+				value = value.map(permission => permission.replace(/^--allow-/, ''));
+			result[name] = value;
+		}
+		return result;
+	},
+
+	/**
+	 * Find the url an import map maps a module specifier to.
+	 * @param specifier {string}
+	 * @param importMap {{imports:Object<string, string>}}
+	 * @return {?string} Null if the import map doesn't have it. */
+	mapImport(specifier, importMap) {
+		let imports = importMap.imports;
+		if (Object.prototype.hasOwnProperty.call(imports, specifier))
+			return imports[specifier];
+		let prefix = Object.keys(imports)
+			.filter(key => key.endsWith('/') && specifier.startsWith(key))
+			.sort((a, b) => b.length - a.length)[0];
+		return prefix ? imports[prefix] + specifier.slice(prefix.length) : null;
+	},
+
+	/**
+	 * @param file {string} Absolute path of an import map.
+	 * @return {{imports:Object<string, string>}} Relative urls are resolved to absolute file urls.
+	 * @throws {Error} */
+	loadImportMap(file) {
+		let map;
+		try {
+			map = JSON.parse(runtime.readTextFile(file));
+		}
+		catch (e) {
+			throw new Error(`Invalid import map ${file}: ${e.message}`);
+		}
+		let imports = {};
+		for (let [specifier, url] of Object.entries(map.imports || {}))
+			imports[specifier] = /^\.{0,2}\//.test(url) ? runtime.toFileUrl(runtime.resolve(runtime.dirname(file), url)) +
+				(url.endsWith('/') ? '/' : '') : url;
+		return {imports};
+	}
+};
+
+export default Config;
@@ -0,0 +1,264 @@
+/**
+ * With --docs=dir, a Markdown or HTML page is written for each file that has DocComments, after its expects run.
+ * Each expect is an example on the page, shown with the actual result of each of its //=, //~, //!, and //> lines.
+ * Nothing is written if any expect fails, so the docs never show an example that's wrong.
+ */
+import runtime from './runtime.js';
+
+/**
+ * @typedef DocEntry {{
+ *     name:?string, line:int, description:string,
+ *     params:{name:string, type:string, description:string}[],
+ *     returns:?{type:string, description:string},
+ *     examples:{code:string, line:int}[]
+ * }}
+ * A DocComment, and the @expects within it.  Name is what it's attached to, if anything. */
+
+let escapeHtml = text => text.replace(/[&<>"]/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[c]);
+
+var Docs = {
+
+	// Directory to write the pages to, set by --docs.  Null to not write docs.
+	dir: null,
+
+	// 'markdown' or 'html', set by --docs-format.
+	format: 'markdown',
+
+	// Pages of the files run so far: {file:string, description:string, entries:DocEntry[], events:ExpectEvent[]}[]
+	pages: [],
+
+	// The page of the file being run.
+	current: null,
+
+	/**
+	 * Split the text of a DocComment into its description and tags.
+	 * Both "@param name {type}" and "@param {type} name" are understood.
+	 * @param comment {string} The whole comment, including /** and *\/.
+	 * @return {{description:string, params:{name:string, type:string, description:string}[],
+	 *     returns:?{type:string, description:string}}} */
+	parse(comment) {
+		let lines = comment.replace(/^\/\*\*/, '').replace(/\*\/$/, '').split(/\r?\n/g)
+			.map(line => line.replace(/^\s*\*(?!\/) ?/, '').replace(/\s+$/, ''));
+
+		// Group the lines into the description, then each tag with the lines that continue it.
+		let blocks = [{tag: null, lines: []}];
+		for (let line of lines) {
+			let [, tag, rest] = line.trim().match(/^@([\w.-]+)\s*(.*)$/) || [];
+			if (tag)
+				blocks.push({tag, lines: [rest]});
+			else
+				blocks[blocks.length-1].lines.push(line);
+		}
+
+		// Join the lines, keeping blank lines between paragraphs, and removing indents the comment added.
+		let join = lines => {
+			let indent = Math.min(...lines.slice(1).filter(line => line.trim()).map(line => line.search(/\S/)));
+			return lines.map(line => line.slice(Math.min(indent, line.search(/\S|$/)))).join('\n').trim();
+		};
+
+		// Read a {type} from the start of text, which may have nested braces.
+		let readType = text => {
+			if (!text.startsWith('{'))
+				return ['', text];
+			let depth = 0;
+			for (let i=0; i<text.length; i++) {
+				depth += text[i] === '{' ? 1 : text[i] === '}' ? -1 : 0;
+				if (!depth)
+					return [text.slice(1, i).replace(/\s*\n\s*/g, ' '), text.slice(i+1).trim()];
+			}
+			return ['', text];
+		};
+		let readName = text => {
+			let [, name, rest] = text.match(/^([\w$.[\]=]+)\s*([^]*)$/) || [, '', text];
+			return [name, rest];
+		};
+
+		let description = join(blocks[0].lines), params = [], returns = null;
+		for (let {tag, lines} of blocks.slice(1)) {
+			let text = join(lines), type, name;
+			if (tag === 'param') {
+				if (text.startsWith('{')) {
+					[type, text] = readType(text);
+					[name, text] = readName(text);
+				}
+				else {
+					[name, text] = readName(text);
+					[type, text] = readType(text);
+				}
+				params.push({name, type, description: text.replace(/\s*\n\s*/g, ' ')});
+			}
+			else if (tag === 'return' || tag === 'returns') {
+				[type, text] = readType(text);
+				returns = {type, description: text.replace(/\s*\n\s*/g, ' ')};
+			}
+		}
+		return {description, params, returns};
+	},
+
+	/**
+	 * Collect the DocComments of a file, before its expects run.
+	 * A DocComment before any code describes the whole file.
+	 * @param file {string}
+	 * @param tokens {Token[]}
+	 * @param expects {object[]} From Expect.findExpects(), including any that won't run.
+	 * @param findName {function(Token[], int):?string} Expect.findName()
+	 * @return {object} The page. */
+	open(file, tokens, expects, findName) {
+		if (!Docs.dir)
+			return null;
+		let page = {file, description: '', entries: [], events: []};
+		let code = false; // True once past the first code.
+		for (let i=0; i<tokens.length; i++) {
+			let token = tokens[i];
+			if (token.type !== 'comment' || !token.startsWith('/**')) {
+				code = code || !['whitespace', 'ln', 'comment', 'hashbang'].includes(token.type);
+				continue;
+			}
+			let {description, params, returns} = Docs.parse(token + '');
+			let name = findName(tokens, i);
+			let examples = expects.filter(expect => expect.comment === token.line) // Copies, since runFile() rewrites their imports.
+				.map(expect => ({code: expect.code, line: expect.line}));
+			if (!code && !name && !examples.length)
+				page.description = description;
+			else if (name || examples.length)
+				page.entries.push({name, line: token.line, description, params, returns, examples});
+		}
+		Docs.current = page;
+		return page;
+	},
+
+	/**
+	 * Called by Runner.report() for every event.
+	 * @param event {ExpectEvent} */
+	record(event) {
+		let current = Docs.current;
+		if (current && event.file === current.file)
+			current.events.push(event);
+	},
+
+	/**
+	 * Finish the page of the file being run, after all of its expects have run. */
+	close() {
+		let current = Docs.current;
+		Docs.current = null;
+		if (current && (current.description || current.entries.length))
+			Docs.pages.push(current);
+	},
+
+	/**
+	 * Write the code of an example, with the actual result of each line that has one as a comment after it.
+	 * Examples that didn't run, because they were skipped or filtered out, aren't verified and are left out.
+	 * @param example {{code:string, line:int}} An expect.
+	 * @param events {ExpectEvent[]} Of the file.
+	 * @return {?string} Null if the example didn't run. */
+	renderExample(example, events) {
+		let lines = example.code.split(/\r?\n/g);
+		let end = example.line + lines.length - 1;
+		if (!events.some(event => event.line >= example.line && event.line <= end && event.status !== 'skip'))
+			return null;
+
+		// Remove the indent of the lines after the first, which the DocComment added.
+		let indent = Math.min(...lines.slice(1).filter(line => line.trim()).map(line => line.search(/\S/)));
+		lines = lines.map((line, i) => i ? line.slice(Math.min(indent, line.search(/\S|$/))) : line.trim());
+
+		let result = [];
+		for (let i=0; i<lines.length; i++) {
+			let [, code, marker] = lines[i].match(/^(.*?)\s*\/\/([=!~>]).*$/) || [, lines[i]];
+			if (!marker) {
+				result.push(code);
+				continue;
+			}
+			let actuals = [...new Set(events.filter(event => event.line === example.line + i).map(event => event.actual))];
+			let prefix = {'=': '→ ', '~': '→ ', '!': 'throws ', '>': 'prints '}[marker];
+			let comment = actuals.map(actual => actual === undefined ? '' : prefix + actual).join('\n').split('\n');
+			if (!comment[0]) // Nothing thrown or printed.
+				result.push(code);
+			else if (comment.length === 1 && code)
+				result.push(`${code} // ${comment[0]}`);
+			else {
+				if (code)
+					result.push(code);
+				result.push(...comment.map((line, j) => '// ' + (j ? '  ' : '') + line));
+			}
+		}
+		return result.join('\n').replace(/^\n+|\n+$/g, '');
+	},
+
+	/**
+	 * @param page {object} From open().
+	 * @param format {string} 'markdown' or 'html'
+	 * @return {string} */
+	render(page, format) {
+		let title = runtime.relative(page.file);
+		let sections = [];
+		for (let entry of page.entries) {
+			let examples = entry.examples.map(example => Docs.renderExample(example, page.events)).filter(code => code);
+			sections.push({...entry, examples, heading: entry.name || `Line ${entry.line}`});
+		}
+
+		if (format === 'html') {
+			let paragraphs = text => text.split(/\n\s*\n/).filter(Boolean).map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+			let html = [`<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n</head>\n<body>`,
+				`<h1>${escapeHtml(title)}</h1>`, paragraphs(page.description)];
+			for (let section of sections) {
+				html.push(`<h2 id="${escapeHtml(section.heading)}">${escapeHtml(section.heading)}</h2>`, paragraphs(section.description));
+				if (section.params.length)
+					html.push('<table>\n<tr><th>Parameter</th><th>Type</th><th>Description</th></tr>\n' + section.params.map(param =>
+						`<tr><td>${escapeHtml(param.name)}</td><td><code>${escapeHtml(param.type)}</code></td>` +
+						`<td>${escapeHtml(param.description)}</td></tr>\n`).join('') + '</table>');
+				if (section.returns)
+					html.push(`<p><strong>Returns</strong> <code>${escapeHtml(section.returns.type)}</code> ` +
+						`${escapeHtml(section.returns.description)}</p>`);
+				for (let example of section.examples)
+					html.push(`<pre><code class="language-javascript">${escapeHtml(example)}</code></pre>`);
+			}
+			html.push('</body>\n</html>');
+			return html.filter(Boolean).join('\n') + '\n';
+		}
+
+		let cell = text => text.replace(/\|/g, '\\|');
+		let md = [`# ${title}`, page.description];
+		for (let section of sections) {
+			md.push(`## ${section.heading}`, section.description);
+			if (section.params.length)
+				md.push('| Parameter | Type | Description |\n| --- | --- | --- |\n' + section.params.map(param =>
+					`| ${cell(param.name)} | ${param.type ? '`' + cell(param.type) + '`' : ''} | ${cell(param.description)} |`).join('\n'));
+			if (section.returns)
+				md.push(`**Returns** ${section.returns.type ? '`' + section.returns.type + '` ' : ''}${section.returns.description}`.trim());
+			for (let example of section.examples)
+				md.push('```javascript\n' + example + '\n```');
+		}
+		return md.filter(Boolean).join('\n\n') + '\n';
+	},
+
+	/**
+	 * Write a page for each file, and an index page that links to them.
+	 * Each page's path within the docs directory is the file's path relative to the current directory.
+	 * @return {string[]} Paths of the pages written. */
+	write() {
+		let ext = Docs.format === 'html' ? '.html' : '.md';
+		let dir = runtime.resolve(Docs.dir);
+		let written = [];
+		let links = [];
+		for (let page of Docs.pages) {
+			let name = runtime.relative(page.file).replace(/^(\.\.\/)+/, '') + ext;
+			let path = dir + '/' + name;
+			runtime.mkdir(runtime.dirname(path));
+			runtime.writeTextFile(path, Docs.render(page, Docs.format));
+			written.push(path);
+			links.push([runtime.relative(page.file), name]);
+		}
+
+		let index = Docs.format === 'html'
+			? '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>Index</title>\n</head>\n<body>\n<ul>\n' +
+				links.map(([title, name]) => `<li><a href="${escapeHtml(encodeURI(name))}">${escapeHtml(title)}</a></li>\n`).join('') +
+				'</ul>\n</body>\n</html>\n'
+			: links.map(([title, name]) => `- [${title}](${encodeURI(name)})\n`).join('');
+		runtime.mkdir(dir);
+		runtime.writeTextFile(dir + '/index' + ext, index);
+		written.push(dir + '/index' + ext);
+		return written;
+	}
+};
+
+export default Docs;
@@ -0,0 +1,200 @@
+/**
+ * Structural equality for comparing the actual and expected values of an @ expect.
+ */
+import format from './format.js';
+
+/**
+ * Get the path to a property, as it would be written in code.
+ * @param path {string}
+ * @param key {string|symbol|int}
+ * @return {string} */
+function child(path, key) {
+	if (typeof key === 'number')
+		return `${path}[${key}]`;
+	if (typeof key === 'symbol')
+		return `${path}[${Symbol.prototype.toString.call(key)}]`; // Survives terser's unsafe options, unlike key.toString().
+	return /^[_$a-z][_$\w]*$/i.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function keys(obj) {
+	return [...Object.keys(obj), ...Object.getOwnPropertySymbols(obj).filter(s => Object.prototype.propertyIsEnumerable.call(obj, s))];
+}
+
+// Prototypes that are compared by their contents, and not by their constructor.
+let plainPrototypes = [Object.prototype, null];
+
+/**
+ * An expected object with this key only needs the actual object to have the same values for its other keys.
+ * The actual object may have more keys, and any prototype. */
+export let partial = Symbol('partial');
+
+/**
+ * Find the first difference between two values.
+ *
+ * Primitives are compared with Object.is(), so NaN equals NaN but 0 does not equal -0.
+ * Functions, Promises, WeakMaps and WeakSets are only equal to themselves.
+ * Arrays, objects, Maps, Sets, Dates, RegExps, Errors, boxed primitives, typed arrays, and class instances are compared
+ * by their contents, and must have the same prototype.
+ * Expected objects with the partial key only compare the properties they have.
+ * Cyclic references are supported.
+ *
+ * @expect equals(NaN, NaN) //= null
+ * equals(0, -0) //= {path: 'actual', actual: 0, expected: -0}
+ * equals({a: [1, {b: 2}]}, {a: [1, {b: 3}]}) //= {path: 'actual.a[1].b', actual: 2, expected: 3}
+ * equals({'a-b': 1}, {}) //= {path: 'actual["a-b"]', actual: 1, expected: undefined, missing: 'expected'}
+ * equals({a: undefined}, {}).missing //= 'expected'
+ * equals([1], {0: 1, length: 1}).path //= 'actual'
+ * @expect
+ * equals(new Map([[{id: 1}, 'x']]), new Map([[{id: 1}, 'x']])) //= null
+ * equals(new Map([[1, 'x']]), new Map([[1, 'y']])).path //= 'actual.get(1)'
+ * equals(new Set([{a: 1}]), new Set([{a: 1}])) //= null
+ * equals(new Set([1]), new Set([2])).path //= 'actual'
+ * equals(new Date(0), new Date(0)) //= null
+ * equals(/a/g, /a/i).path //= 'actual'
+ * equals(new Uint16Array([1, 2]), new Uint16Array([1, 3])) //= {path: 'actual[1]', actual: 2, expected: 3}
+ * equals(new TypeError('a'), new TypeError('b')) //= {path: 'actual.message', actual: 'a', expected: 'b'}
+ * @expect
+ * let a = {}, b = {};
+ * a.self = a;
+ * b.self = b;
+ * equals(a, b) //= null
+ * equals({x: 1, y: 2}, {x: 1, [partial]: true}) //= null
+ * equals({y: 2}, {x: 1, [partial]: true}).missing //= 'actual'
+ *
+ * @param actual {*}
+ * @param expected {*}
+ * @param path {string} Name of the actual value, used to build the path of the difference.
+ * @param seen {Map<object, Set<object>>} Used internally to track pairs of objects already being compared.
+ * @return {?{path:string, actual:*, expected:*, missing:string=}} The path and values of the first difference, or null if equal.
+ *     missing is 'actual' or 'expected' when a property or Map key only exists in the other value. */
+export default function equals(actual, expected, path='actual', seen=new Map()) {
+	if (Object.is(actual, expected))
+		return null;
+	if (typeof actual !== 'object' || typeof expected !== 'object' || !actual || !expected)
+		return {path, actual, expected};
+
+	// Assume equal if we're already comparing these two further up, to stop infinite recursion on cycles.
+	let pairs = seen.get(actual);
+	if (pairs && pairs.has(expected))
+		return null;
+	if (!pairs)
+		seen.set(actual, pairs = new Set());
+	pairs.add(expected);
+	try {
+		return compareObjects(actual, expected, path, seen);
+	}
+	finally {
+		pairs.delete(expected);
+	}
+}
+
+/**
+ * @param actual {object}
+ * @param expected {object}
+ * @param path {string}
+ * @param seen {Map<object, Set<object>>}
+ * @return {?{path:string, actual:*, expected:*, missing:string=}} */
+function compareObjects(actual, expected, path, seen) {
+	let diff = {path, actual, expected};
+	if (Object.prototype.hasOwnProperty.call(expected, partial)) {
+		for (let key of keys(expected).filter(key => key !== partial)) {
+			if (!(key in actual))
+				return {path: child(path, key), actual: undefined, expected: expected[key], missing: 'actual'};
+			let result = equals(actual[key], expected[key], child(path, key), seen);
+			if (result)
+				return result;
+		}
+		return null;
+	}
+
+	let proto = Object.getPrototypeOf(actual);
+	if (proto !== Object.getPrototypeOf(expected) &&
+		!(plainPrototypes.includes(proto) && plainPrototypes.includes(Object.getPrototypeOf(expected))))
+		return diff;
+
+	if (actual instanceof Date)
+		return Object.is(actual.getTime(), expected.getTime()) ? null : diff;
+	if (actual instanceof RegExp)
+		return actual.source === expected.source && actual.flags === expected.flags ? null : diff;
+	if (actual instanceof Number || actual instanceof String || actual instanceof Boolean)
+		return Object.is(actual.valueOf(), expected.valueOf()) ? null : diff;
+	if (actual instanceof Promise || actual instanceof WeakMap || actual instanceof WeakSet)
+		return diff; // Not identical.
+	if (actual instanceof Error) {
+		if (actual.name !== expected.name)
+			return {path: child(path, 'name'), actual: actual.name, expected: expected.name};
+		if (actual.message !== expected.message)
+			return {path: child(path, 'message'), actual: actual.message, expected: expected.message};
+	}
+
+	if (actual instanceof ArrayBuffer || ArrayBuffer.isView(actual)) {
+		let a = new Uint8Array(actual.buffer || actual, actual.byteOffset, actual.byteLength);
+		let b = new Uint8Array(expected.buffer || expected, expected.byteOffset, expected.byteLength);
+		if (a.length !== b.length)
+			return {path: child(path, 'length'), actual: actual.length, expected: expected.length};
+		let i = a.findIndex((byte, i) => byte !== b[i]);
+		if (i === -1)
+			return null;
+		let size = actual.BYTES_PER_ELEMENT || 1;
+		i = Math.floor(i / size);
+		return {path: child(path, i), actual: actual[i], expected: expected[i]};
+	}
+
+	if (actual instanceof Map) {
+		if (actual.size !== expected.size)
+			return {path: child(path, 'size'), actual: actual.size, expected: expected.size};
+		let unmatched = [...expected.keys()].filter(key => !actual.has(key));
+		for (let [key, value] of actual) {
+			let keyPath = `${path}.get(${format(key)})`;
+			if (!expected.has(key)) { // Find a key with the same structure.
+				let i = unmatched.findIndex(key2 => !equals(key, key2, '', seen));
+				if (i === -1)
+					return {path: keyPath, actual: value, expected: undefined, missing: 'expected'};
+				key = unmatched.splice(i, 1)[0];
+			}
+			let result = equals(value, expected.get(key), keyPath, seen);
+			if (result)
+				return result;
+		}
+		return null;
+	}
+
+	if (actual instanceof Set) {
+		if (actual.size !== expected.size)
+			return {path: child(path, 'size'), actual: actual.size, expected: expected.size};
+		let unmatched = [...expected].filter(item => !actual.has(item));
+		for (let item of actual)
+			if (!expected.has(item)) {
+				let i = unmatched.findIndex(item2 => !equals(item, item2, '', seen));
+				if (i === -1)
+					return diff;
+				unmatched.splice(i, 1);
+			}
+		return null;
+	}
+
+	if (Array.isArray(actual)) {
+		if (actual.length !== expected.length)
+			return {path: child(path, 'length'), actual: actual.length, expected: expected.length};
+		for (let i=0; i<actual.length; i++) {
+			let result = equals(actual[i], expected[i], child(path, i), seen);
+			if (result)
+				return result;
+		}
+		return null;
+	}
+
+	// Objects and class instances
+	let expectedKeys = keys(expected);
+	for (let key of keys(actual)) {
+		if (!expectedKeys.includes(key))
+			return {path: child(path, key), actual: actual[key], expected: undefined, missing: 'expected'};
+		let result = equals(actual[key], expected[key], child(path, key), seen);
+		if (result)
+			return result;
+	}
+	let missing = expectedKeys.find(key => !Object.prototype.hasOwnProperty.call(actual, key));
+	if (missing !== undefined)
+		return {path: child(path, missing), actual: undefined, expected: expected[missing], missing: 'actual'};
+	return null;
+}
@@ -1,14 +1,35 @@
 /**
  * Issues:
- * 1. lex.js may fail on a few regex types.
- *
- * 2. DOM stuff from the command line.
+ * 1. DOM stuff from the command line.
  */
-import {dirname, resolve} from "https://deno.land/std/path/mod.ts";
-
-import lex from './lex.js';
+import lex, {lexWithErrors} from './lex.js';
 import lexHtml from './lex-htmljs.js';
 import fregex from './fregex.js';
+import findFiles from './files.js';
+import runtime from './runtime.js';
+import Runner from './runner.js';
+import reporters from './reporters.js';
+import watch from './watch.js';
+import sourceMap from './sourcemap.js';
+import {runInWorker, startWorker} from './isolate.js';
+import Snapshots from './snapshots.js';
+import Fix from './fix.js';
+import Config from './config.js';
+import Docs from './docs.js';
+import serveLsp from './lsp.js';
+
+let AsyncFunction = (async () => {}).constructor;
+
+// Counts imports of modules that must run again for each file, to give each a new url.
+let setupCount = 0;
+
+// Process exit codes.
+let ExitCode = {
+	passed: 0,
+	failed: 1, // An expect failed or threw an error.
+	fileError: 2, // A file couldn't be lexed or imported, has invalid options, or threw an error nothing caught.
+	usage: 3 // Invalid command line arguments.
+};
 
 var Expect = {
 
@@ -20,61 +41,202 @@ var Expect = {
 
 
 	/**
-	 * Modify filesystem imports to use absolute paths.
-	 * TODO: Does this handle every import syntax?
-	 * 1. https://developer.mozilla.org/en-US/docs/web/javascript/reference/statements/import
-	 * 2.
-	 * @param tokens {Token[]}
-	 * @param dir {string} */
-	rewriteImports(tokens, dir) {
-		dir = resolve(dir).replace(/\\/g, '/'); // abs path with forward slashes
+	 * Resolve a module specifier to what it should be when imported from the generated code,
+	 * which isn't in the same directory as the original file.
+	 * @param specifier {string}
+	 * @param dir {string} Absolute directory of the file that imports it.
+	 * @param importMap {?{imports:Object<string, string>}} See Config.loadImportMap().
+	 * @return {string} A file url for relative and absolute paths, the mapped url for bare specifiers in the import map,
+	 *     or else the specifier unchanged. */
+	resolveImport(specifier, dir, importMap=null) {
+		if (/^\.{1,2}\//.test(specifier) || runtime.isAbsolute(specifier)) {
+			let [, path, suffix] = specifier.match(/^([^?#]*)(.*)$/); // Keep any query or hash.
+			return runtime.toFileUrl(runtime.resolve(dir, path)) + (path.endsWith('/') ? '/' : '') + suffix;
+		}
+		if (/^[a-z][a-z\d+.-]*:/i.test(specifier)) // Already a url, or node:, npm:, jsr:, etc.
+			return specifier;
+		return (importMap && Config.mapImport(specifier, importMap)) || specifier;
+	},
+
+	/**
+	 * Modify imports so they still work from the generated code.  See resolveImport().
+	 * This handles import and export ... from statements, and import() with a string or a template literal,
+	 * including within the ${} of other templates.
+	 * For templates, only the part before the first ${} is resolved, if it's a path.
+	 * import.meta.url, filename, and dirname are replaced with those of the original file,
+	 * so that new URL('./data.json', import.meta.url) also still works, and import.meta.resolve() resolves paths from it.
+	 * https://developer.mozilla.org/en-US/docs/web/javascript/reference/statements/import
+	 * @param tokens {Token[]} Modified in place.
+	 * @param file {string} The file the tokens are from.
+	 * @param importMap {?{imports:Object<string, string>}} Maps bare specifiers to urls.  See Config.loadImportMap().
+	 * @return {string[]} Absolute paths of the imported files. */
+	rewriteImports(tokens, file, importMap=null) {
+		file = runtime.resolve(file); // abs path with forward slashes
+		let dir = runtime.dirname(file);
+		let result = [];
 
 		// 1. Build fregex to find imports.
 		let ws0 = fregex.zeroOrMore(fregex.or({type: 'whitespace'}, {type: 'ln'}, {type: 'comment'}));
 		let isImport = fregex.or(
 			['import', ws0, {type:'string'}],
-			['import', ws0, '(', ws0, {type:'string'}],
+			['import', ws0, '(', ws0, fregex.or({type:'string'}, {type:'template'})],
 			['from', ws0, {type:'string'}]
 		);
+		let isMeta = fregex('import', ws0, '.', ws0, 'meta', ws0, '.', ws0, fregex.or('url', 'filename', 'dirname', 'resolve'));
+		let url = JSON.stringify(runtime.toFileUrl(file));
+		let meta = {url, filename: JSON.stringify(file), dirname: JSON.stringify(dir),
+			resolve: `(specifier => /^\\.{0,2}\\//.test(specifier) ? new URL(specifier, ${url}).href : import.meta.resolve(specifier))`};
+
+		// Replace a token, keeping its position to map errors back.
+		let replace = (j, text) => {
+			let {type, mode, line, col} = tokens[j];
+			tokens[j] = Object.assign(new String(text), {type, mode, line, col});
+		};
 
 		for (let i=0; i<tokens.length; i++) {
+			if (tokens[i].tokens) { // A template, or a ${} within one.
+				let children = tokens[i].tokens;
+				result.push(...Expect.rewriteImports(children, file, importMap));
+				if (children.join('') !== tokens[i] + '') {
+					replace(i, children.join(''));
+					tokens[i].tokens = children;
+				}
+				continue;
+			}
 
-			// If matches the fregex.
-			let length = isImport(tokens.slice(i));
+			let length = isMeta(tokens.slice(i));
 			if (length) {
+				replace(i, meta[tokens[i+length-1]]);
+				for (let j=i+1; j<i+length; j++)
+					replace(j, '');
+				i += length - 1;
+				continue;
+			}
 
-				// Find any string tokens and convert them to an absolute path:
-				for (let j=i; j<i+length; j++)
-					if (tokens[j].type === 'string') {
-						let path = tokens[j];
-						let path2 = path.slice(1, -1); // slice to remove start/end quote from string token.
-						if (dir && !path2.startsWith('http://') && !path2.startsWith('https://')) {
-							if (path2.startsWith('/'))
-								path = '"file:///' + dir + path2 + '"';
-							else
-								path = '"file:///' + dir + '/' + path2.slice(2) + '"';
-						}
-						tokens[j] =path;
-						break;
-					}
-				i+= length;
+			length = isImport(tokens.slice(i));
+			if (length) {
+				let j = i + length - 1; // The specifier is the last token.
+				let token = tokens[j];
+				let specifier = token.slice(1, -1); // Remove the quotes.
+				let rest = '';
+				if (token.type === 'template' && specifier.includes('${')) {
+					let prefix = specifier.slice(0, specifier.indexOf('${'));
+					let end = /^\.{0,2}\//.test(prefix) ? prefix.lastIndexOf('/') + 1 : 0; // Only a path's directory can be resolved.
+					[specifier, rest] = [specifier.slice(0, end), specifier.slice(end)];
+				}
+
+				let resolved = specifier && Expect.resolveImport(specifier, dir, importMap);
+				if (resolved && resolved !== specifier)
+					replace(j, token.type === 'template' ? '`' + resolved + rest + '`' : JSON.stringify(resolved));
+				if (resolved && resolved.startsWith('file:') && !rest)
+					result.push(runtime.fromFileUrl(resolved.replace(/[?#].*/, '')));
+				i = j;
 			}
 		}
+		return result;
+	},
+
+	/**
+	 * Rewrite the imports within the code of an expect, like rewriteImports() does for the file.
+	 * @param code {string}
+	 * @param file {string}
+	 * @param importMap {?{imports:Object<string, string>}}
+	 * @return {string} */
+	rewriteExpectImports(code, file, importMap=null) {
+		if (!/\bimport\b/.test(code))
+			return code;
+		try {
+			let tokens = lex(lexHtml, code, runtime.isTypeScript(file) ? 'ts' : 'js');
+			Expect.rewriteImports(tokens, file, importMap);
+			return tokens.join('');
+		}
+		catch (e) { // Leave it for the syntax check to report.
+			return code;
+		}
+	},
+
+	/**
+	 * Find the environments requested by @expect-env tags in any DocComment, e.g. "@expect-env dom".
+	 * Several can be given, separated by spaces or commas.
+	 * @param tokens {Token[]}
+	 * @return {Set<string>} */
+	findEnv(tokens) {
+		let result = new Set();
+		for (let token of tokens)
+			if (token.type==='comment' && token.startsWith('/**'))
+				for (let [, names] of token.matchAll(/@expect-env\b([^\r\n@]*)/g))
+					for (let name of names.replace(/\*\/$/, '').split(/[\s,]+/))
+						if (name)
+							result.add(name);
+		return result;
+	},
+
+	/**
+	 * Create code that sets up a DOM environment, for files that request one with "@expect-env dom".
+	 * It's all on one line, so that it doesn't change the line numbers of the code after it.
+	 * @param dom {string} 'none', 'jsdom' to use a local install of jsdom, or the path to a setup module.
+	 * @return {string} */
+	createDomCode(dom) {
+		if (dom === 'none')
+			return '';
+		if (dom === 'jsdom')
+			return `import jsdom_ZZZ from "${runtime.isDeno ? 'npm:jsdom' : 'jsdom'}"; ` +
+				`{ let window = new jsdom_ZZZ.JSDOM('<!DOCTYPE html>').window; globalThis.window = window; globalThis.document = window.document; } `;
+		return `import ${JSON.stringify(runtime.toFileUrl(runtime.resolve(dom)) + '?' + ++setupCount)}; `; // Query to run it again for each file.
+	},
+
+	/**
+	 * Find the name of the function, class, method, or variable a DocComment is attached to.
+	 * @param tokens {Token[]}
+	 * @param index {int} Index of the DocComment.
+	 * @return {?string} */
+	findName(tokens, index) {
+		// Modifiers can also be names, like a method called get, which is followed by one of afterName.
+		let modifiers = ['export', 'default', 'async', 'static', 'get', 'set', 'public', 'private', 'protected', 'readonly',
+			'abstract', 'declare', 'override', 'interface', 'type'];
+		let declarations = ['function', 'class', 'let', 'const', 'var', 'enum', '*'];
+		let afterName = ['(', '=', ':', ';', '?', '!', '<', ',', '}'];
+		let next = i => { // Index of the next token that isn't whitespace.
+			do
+				i++;
+			while (i < tokens.length && (tokens[i].type === 'whitespace' || tokens[i].type === 'ln'));
+			return i;
+		};
+		for (let i=next(index); i<tokens.length; i=next(i)) {
+			let word = tokens[i] + '';
+			if (declarations.includes(word))
+				continue;
+			if (modifiers.includes(word)) {
+				let after = tokens[next(i)];
+				if (after && !afterName.includes(after + ''))
+					continue;
+				return word;
+			}
+			return tokens[i].type === 'identifier' ? word : null;
+		}
+		return null;
 	},
 
 	/**
 	 * Find all strings that occur after @ expect in comments.
+	 * @ expect.only and @ expect.skip mark expects to run alone or not at all.
 	 * @param tokens {Token[]}
-	 * @return {{code:string, line:int}[]} */
+	 * @return {{code:string, line:int, col:int, tagCol:int, comment:int, commentEnd:int, name:?string, modifier:?string}[]}
+	 *     Line and column where the code starts, just after @ expect, and the column of the @ expect tag.
+	 *     comment and commentEnd are the lines where its DocComment starts and ends, and name is what it's attached to.
+	 *     modifier is 'only', 'skip', or undefined. */
 	findExpects(tokens) {
 		let expects = [];
-		for (let token of tokens)
+		for (let t=0; t<tokens.length; t++) {
+			let token = tokens[t];
 			if (token.type==='comment' && token.startsWith('/**')) {
 
 				//console.log(token.line);
 				let comment = token.slice(3, -2);
 				let lines = comment.split(/\r?\n/g);
 				let expect = null;
+				let name = Expect.findName(tokens, t);
+				let commentEnd = token.line + lines.length - 1;
 				for (let i=0; i<lines.length; i++) {
 					let line = lines[i];
 
@@ -84,8 +246,12 @@ var Expect = {
 							expects.push(expect);
 							expect = null;
 						}
-						if (line.includes('@expect')) // start new expect.
-							expect = {code: line.slice(idx+7), line: token.line + i, col: idx+7};
+						let [tag, modifier] = line.slice(idx).match(/^@expect(?:\.(only|skip))?(?![-\w.])/) || [];
+						if (tag) { // start new expect.
+							let tagCol = (i ? 1 : token.col + 3) + idx;
+							expect = {code: line.slice(idx + tag.length), line: token.line + i, col: tagCol + tag.length, tagCol,
+								comment: token.line, commentEnd, name, modifier};
+						}
 					}
 					else if (expect !== null)
 						expect.code += '\r\n' + line.replace(/(?<=^\s+)\*/, ' '); // Replace preceding '*' from comment with space.
@@ -95,102 +261,471 @@ var Expect = {
 					expects.push(expect);
 
 			}
+		}
 		return expects;
 	},
 
+	/**
+	 * Choose which expects to run.
+	 * @param expects {object[]} From findExpects().
+	 * @param filter {{names:string[], grep:?RegExp, lines:int[]}} Run only the expects attached to one of the names,
+	 *     whose code matches grep, and that are at one of the lines.  A line within a DocComment but outside of any expect
+	 *     selects all of the DocComment's expects.  Empty names or lines, or a null grep, match every expect.
+	 * @return {{run:object[], skip:object[]}} Expects that don't match the filter are in neither.
+	 *     Those tagged @ expect.skip are skipped, and so are the rest if any are tagged @ expect.only. */
+	selectExpects(expects, filter) {
+		let end = expect => expect.line + expect.code.split(/\r?\n/g).length - 1;
+		let atLine = (expect, line) =>
+			(line >= expect.line && line <= end(expect)) ||
+			(line >= expect.comment && line <= expect.commentEnd && !expects.some(e => line >= e.line && line <= end(e)));
+		let selected = expects.filter(expect =>
+			(!filter.names.length || filter.names.includes(expect.name)) &&
+			(!filter.grep || filter.grep.test(expect.code)) &&
+			(!filter.lines.length || filter.lines.some(line => atLine(expect, line))));
+
+		let only = selected.some(expect => expect.modifier === 'only');
+		let skipped = expect => expect.modifier === 'skip' || (only && expect.modifier !== 'only');
+		return {run: selected.filter(expect => !skipped(expect)), skip: selected.filter(skipped)};
+	},
+
 
-	createExpectCode(expects, file) {
-		let expectCode = [];
-		let filePath = file.replace(/\\/g, '\\\\');
-		for (let expect of expects) {
+	/**
+	 * @param code {string} The expected value of a //= line.
+	 * @return {boolean} True if it's only a regex literal, which the actual string must match. */
+	isRegex(code) {
+		return /^\/(?![*/]).*\/[a-z]*$/.test(code);
+	},
 
-			// Check if expect is syntactically valid code
-			try {
-				new Function(expect.code);
-			}
-			catch (e) {
-				console.error(e.toString() + ` in @expect at ${filePath}:${expect.line}:${expect.col-7}`); // -7 to get @expect
-				continue;
-			}
+	/**
+	 * Replace the ... at the end of object literals, e.g. {id: 1, ...}, with the key that marks them as partial.
+	 * Partial objects match any object with the same values for the properties they have.  See equals().
+	 * @param code {string} The expected value of a //= line.
+	 * @return {string} */
+	partialObjects(code) {
+		if (!code.includes('...'))
+			return code;
+		let tokens;
+		try {
+			tokens = lex(lexHtml, code, 'js');
+		}
+		catch (e) { // Leave it for the syntax check to report.
+			return code;
+		}
+		return tokens.map((token, i) => {
+			let next = tokens.slice(i+1).find(token => token.type !== 'whitespace' && token.type !== 'ln');
+			return token + '' === '...' && next + '' === '}' ? '[Expect_ZZZ.partial]: true' : token;
+		}).join('');
+	},
 
+	/**
+	 * Create code that runs each expect, one after another.
+	 * Each expect is awaited, and so is the actual value of every //= line.
+	 * Lines ending in //= compare the result to an expected value,
+	 * and lines ending in //! expect the code to throw an error matching a class, regex, or message.
+	 * A regex literal after //= is a pattern the actual string must match,
+	 * and objects ending in ..., like {id: 1, ...}, ignore any other properties of the actual object.
+	 * Lines ending in //~ value ±tolerance expect a number within the tolerance of the value, which is 1e-9 if not given.
+	 * Lines ending in //= snapshot compare the result to the one saved by an earlier run.  See Snapshots.
+	 * Lines ending in //> compare what the line writes to the console to a string or regex, or expect nothing if empty.
+	 * Requires the Runner to be available as the global Expect_ZZZ.
+	 * @param expects {{code:string, line:int, col:int, tagCol:int}[]} From findExpects().
+	 * @param file {string}
+	 * @param map {object=} A sourceMap() to append the code to, so errors can be mapped back to the expects.
+	 * @return {Promise<object>} The sourceMap() with the code. */
+	async createExpectCode(expects, file, map=sourceMap()) {
+		for (let expect of expects) {
+			let location = {file, line: expect.line, col: expect.tagCol};
+			let assertions = 0;
+			let parts = []; // [code, line, col, generated] of each part of the expect, for sourceMap().add().
 			let lines = expect.code.split(/\r?\n/g);
 			for (let i=0; i<lines.length; i++) {
 				let line = lines[i];
-				let idx = line.indexOf('//=');
+				let lineNum = expect.line + i;
+				let startCol = i ? 1 : expect.col; // Column where the line starts in the file.
+				if (i)
+					parts.push(['\r\n']);
+
+				let idx = line.search(/\/\/[=!~>]/);
 				if (idx !== -1) {
 					let code = line.slice(0, idx);
-					let expected = line.slice(idx+3).trim();
-					let col = line.search(/\S/) + 1;
-					if (i === 0 )
-						col += expect.col;
-
-					lines[i] = `{ let actual = ${code}, expected=${expected}; if (JSON.stringify(actual) !== JSON.stringify(expected)) console.log("Actual result is " + actual + " ` +
-						`but expected " + expected + " in @expect at ${filePath}:${expect.line+i}:${col}."); }`;
+					let marker = line[idx+2];
+					let expected = line.slice(idx+3);
+					let expectedCol = startCol + idx + 3 + expected.search(/\S|$/);
+					expected = expected.trim();
+					let col = startCol + line.search(/\S/);
+
+					let lineLocation = JSON.stringify({file, line: lineNum, col});
+					if (marker === '=' && expected === 'snapshot') {
+						let key = Snapshots.key(file, lineNum);
+						let snapshot = Snapshots.use(key);
+						parts.push(
+							['await Expect_ZZZ.assertSnapshot(async () => { return ', lineNum, col, true], [code, lineNum, startCol],
+							[`; }, ${JSON.stringify(key)}, ${snapshot === undefined ? 'undefined' : JSON.stringify(snapshot)}, ${lineLocation});`,
+								lineNum, col, true]);
+					}
+					else if (marker === '!')
+						parts.push(
+							['await Expect_ZZZ.assertThrows(async () => { return ', lineNum, col, true], [code, lineNum, startCol],
+							['; }, ', lineNum, col, true], [expected || 'undefined', lineNum, expectedCol],
+							[`, ${lineLocation});`, lineNum, col, true]);
+					else if (marker === '>')
+						parts.push(
+							['await Expect_ZZZ.assertOutput(async () => { return ', lineNum, col, true], [code, lineNum, startCol],
+							['; }, () => (', lineNum, col, true], [expected || '""', lineNum, expectedCol],
+							[`), ${lineLocation});`, lineNum, col, true]);
+					else if (marker === '~') {
+						let [, value, tolerance] = expected.match(/^(.*?)(?:\s*(?:±|\+\/-)\s*(.*))?$/);
+						let toleranceCol = expectedCol + expected.length - (tolerance || '').length;
+						parts.push(
+							['await Expect_ZZZ.assertClose(async () => { return ', lineNum, col, true], [code, lineNum, startCol],
+							['; }, () => (', lineNum, col, true], [value, lineNum, expectedCol],
+							['), () => (', lineNum, col, true], [tolerance || '1e-9', lineNum, toleranceCol],
+							[`), ${lineLocation});`, lineNum, col, true]);
+					}
+					else
+						parts.push(
+							[`await Expect_ZZZ.${Expect.isRegex(expected) ? 'assertMatches' : 'assertEquals'}(async () => { return `,
+								lineNum, col, true], [code, lineNum, startCol],
+							['; }, () => (', lineNum, col, true], [Expect.partialObjects(expected), lineNum, expectedCol],
+							[`), ${lineLocation});`, lineNum, col, true]);
+					assertions++;
 				}
+				else
+					parts.push([line, lineNum, startCol]);
 			}
 
-			expectCode.push(`try { ${lines.join('\r\n')} } catch(e) { console.error(e.toString() + " in @expect at ${filePath}:${expect.line}:${expect.col-7}."); }`);
-		}
-
+			// Check if expect is syntactically valid code, so one bad expect doesn't prevent the whole file from running.
+			// A function can't use import.meta like the module it runs in can, so it's renamed.
+			try {
+				let code = parts.map(part => part[0]).join('');
+				if (runtime.isTypeScript(file))
+					code = await runtime.checkTypeScript(code, file);
+				if (code !== null)
+					new AsyncFunction(code.replace(/\bimport(\s*)\.(\s*)meta\b/g, 'import$1_$2meta'));
+			}
+			catch (e) {
+				let event = {...location, status: 'error', message: e.toString(), duration: 0};
+				map.add(`Expect_ZZZ.report(${JSON.stringify(event)});\r\n`);
+				continue;
+			}
 
-		return expectCode.join('\r\n');
+			map.add('await Expect_ZZZ.expect(async () => { ', location.line, location.col, true);
+			for (let part of parts)
+				map.add(...part);
+			map.add(` }, ${JSON.stringify(location)}, ${assertions});\r\n`);
+		}
+		return map;
 	}
 };
 
 
 
-let dir, file, code;
-
-// Deno.
-if (typeof Deno !== 'undefined') {
-	file = Deno.args[0];
-	if (!file || file==='expect.js') {
-		console.error('Please specify a file.');
-		Deno.exit();
+/**
+ * Parse command line arguments.
+ * Options are given as --name=value or --flag, and may be repeated.  Everything else is a path,
+ * and paths may end with :line to run only the expects at that line.
+ * @param args {string[]}
+ * @return {{
+ *     paths:string[], options:string[], include:string[], exclude:string[], timeout:int, reporter:string, watch:boolean,
+ *     dom:string, isolate:?string, updateSnapshots:boolean, fix:boolean, names:string[], grep:?RegExp,
+ *     lines:Map<string, int[]>, docs:?string, docsFormat:string, lsp:boolean
+ * }} options are the original option arguments, except --watch.  lines are keyed by absolute path.
+ *     timeout, reporter, dom, and isolate are undefined if not given, so they don't replace the ones from the config. */
+function parseArgs(args) {
+	let result = {paths: [], options: [], include: [], exclude: [], timeout: undefined, reporter: undefined, watch: false,
+		dom: undefined, isolate: undefined, updateSnapshots: false, fix: false, names: [], grep: null, lines: new Map(),
+		docs: null, docsFormat: 'markdown', lsp: false};
+	for (let arg of args) {
+		let [, name, value] = arg.match(/^--([\w-]+)(?:=(.*))?$/) || [];
+		if (name && name !== 'watch')
+			result.options.push(arg);
+
+		if (name === 'watch' && value === undefined)
+			result.watch = true;
+		else if ((name === 'include' || name === 'exclude') && value !== undefined)
+			result[name].push(value);
+		else if (name === 'timeout' && parseInt(value) >= 0)
+			result.timeout = parseInt(value);
+		else if (name === 'reporter' && reporters[value])
+			result.reporter = value;
+		else if (name === 'dom' && value)
+			result.dom = value;
+		else if (name === 'isolate' && (value === 'expect' || value === 'comment'))
+			result.isolate = value;
+		else if (name === 'update-snapshots' && value === undefined)
+			result.updateSnapshots = true;
+		else if (name === 'fix' && value === undefined)
+			result.fix = true;
+		else if (name === 'lsp' && value === undefined)
+			result.lsp = true;
+		else if (name === 'stdio' && value === undefined)
+			; // Passed by some LSP clients.  The language server only uses stdio.
+		else if (name === 'docs' && value)
+			result.docs = value;
+		else if (name === 'docs-format' && (value === 'markdown' || value === 'html'))
+			result.docsFormat = value;
+		else if (name === 'name' && value)
+			result.names.push(value);
+		else if (name === 'grep' && value)
+			try {
+				result.grep = new RegExp(value);
+			}
+			catch (e) {
+				console.error(`Invalid option ${arg}: ${e.message}`);
+				runtime.exit(ExitCode.usage);
+			}
+		else if (name) {
+			console.error(`Invalid option ${arg}`);
+			runtime.exit(ExitCode.usage);
+		}
+		else {
+			let [, path, line] = arg.match(/^(.+):(\d+)$/) || [, arg];
+			if (line) {
+				let key = runtime.resolve(path);
+				result.lines.set(key, [...(result.lines.get(key) || []), parseInt(line)]);
+			}
+			result.paths.push(path);
+		}
 	}
-	dir = dirname(file);
-	code = Deno.readTextFileSync(file);
+	return result;
 }
 
-// Node.  Unsupported.
-else {
-	file = process.argv[2];
-	//const fs = (await import('fs')).default; // Fails in Node.js // Also makes Terser fail.
-	code = fs.readFileSync(file, {encoding:'utf8', flag:'r'});
+/**
+ * Find every file that running a file's expects imports: the modules the file and its expects import,
+ * and the setup modules its options add.  Used by --watch to know which files to run again after a change.
+ * @param file {string}
+ * @param args {object} From parseArgs().
+ * @return {Promise<string[]>} Absolute paths.
+ * @throws {Error} If the file can't be read, or its options are invalid. */
+async function findImports(file, args) {
+	let mode = runtime.isTypeScript(file) ? 'ts' : 'js';
+	let {tokens} = lexWithErrors(lexHtml, runtime.readTextFile(file), mode);
+	let options = Config.merge(Config.defaults, await Config.find(file), Config.fromTags(tokens, file), args);
+	let result = Expect.findExpects(tokens).flatMap(expect => {
+		try {
+			return Expect.rewriteImports(lex(lexHtml, expect.code, mode), file, options.importMap);
+		}
+		catch (e) { // It can't run, so it imports nothing.
+			return [];
+		}
+	});
+	result.push(...options.setup.map(setup => runtime.resolve(setup)));
+	if (Expect.findEnv(tokens).has('dom') && options.dom !== 'none' && options.dom !== 'jsdom')
+		result.push(runtime.resolve(options.dom));
+	return [...Expect.rewriteImports(tokens, file, options.importMap), ...result];
 }
 
+/**
+ * Run all of the @ expect's in a single file.
+ * @param file {string}
+ * @param args {object} From parseArgs().  They're merged with the options from the file's config and @expect-config tags:
+ *     names, grep, and lines choose which expects to run.  See Expect.selectExpects().
+ *     dom is the DOM environment to use if the file requests one.  See Expect.createDomCode().
+ *     setup are modules to import first, and importMap maps the bare specifiers the file imports.
+ *     permissions are the Deno permissions it needs.
+ *     isolate is null to run every expect in one module, or 'expect' or 'comment' to run each expect,
+ *     or the expects of each DocComment, in a new worker.
+ * @param code {string=} Text of the file, if it's different from what's saved. */
+async function runFile(file, args, code=runtime.readTextFile(file)) {
+	let tokens, diagnostics, options;
+	try {
+		({tokens, diagnostics} = lexWithErrors(lexHtml, code, runtime.isTypeScript(file) ? 'ts' : 'js'));
+		options = Config.merge(Config.defaults, await Config.find(file), Config.fromTags(tokens, file), args);
+	}
+	catch (e) {
+		Runner.report({file, status: 'error', message: e.message, duration: 0});
+		return;
+	}
+	Runner.timeout = options.timeout;
+	runtime.requestPermissions(options.permissions); // In case the file asks for more than the run.
+
+	// Text the lexer didn't understand can hide expects, so it's an error for the whole file, but the rest still runs.
+	if (diagnostics.length)
+		Runner.report({file, status: 'error', duration: 0, message: diagnostics
+			.map(({message, line, col, text}) => `${message} at ${line}:${col}: ${text.trim()}`).join('\n')});
+
+	let all = Expect.findExpects(tokens);
+	Docs.open(file, tokens, all, Expect.findName);
+	let lines = options.lines.get(runtime.resolve(file)) || [];
+	let {run: expects, skip} = Expect.selectExpects(all, {names: options.names, grep: options.grep, lines});
+	if (!expects.length && !skip.length) // Do nothing if there are no @expect's.
+		return;
+	Runner.summary.files++;
+	for (let expect of skip)
+		Runner.report({file, line: expect.line, col: expect.tagCol, status: 'skip', duration: 0});
+	if (!expects.length)
+		return;
+
+	try {
+		Snapshots.open(file);
+	}
+	catch (e) {
+		Runner.report({file, status: 'error', message: e.message, duration: 0});
+		return;
+	}
+	Fix.open(file);
+
+	let env = Expect.findEnv(tokens);
+	Expect.rewriteImports(tokens, file, options.importMap); // in-place
+	for (let expect of expects)
+		expect.code = Expect.rewriteExpectImports(expect.code, file, options.importMap);
+
+	let groups = [expects];
+	if (options.isolate === 'expect')
+		groups = expects.map(expect => [expect]);
+	else if (options.isolate === 'comment')
+		groups = [...new Set(expects.map(expect => expect.comment))]
+			.map(comment => expects.filter(expect => expect.comment === comment));
+
+	for (let group of groups) {
+
+		// Build the code to run, tracking where each part came from so errors can be mapped back.
+		// The call to importing(false) runs first of the statements, but after every import.
+		let map = sourceMap();
+		map.add('Expect_ZZZ.importing(false); ');
+		if (env.has('dom')) { // Add a DOM so tests that use DOM nodes can work.
+			if (options.dom !== 'none' && options.dom !== 'jsdom')
+				await runtime.uncache(options.dom);
+			map.add(Expect.createDomCode(options.dom));
+		}
+		for (let setup of options.setup) { // On the same line, so it doesn't change line numbers.  Query to run it again for each file.
+			await runtime.uncache(setup);
+			map.add(`import ${JSON.stringify(runtime.toFileUrl(setup) + '?' + ++setupCount)}; `);
+		}
+		map.add(`import "data:text/javascript,Expect_ZZZ.importing(true)//${++setupCount}"; `); // After the setup modules.
+		for (let token of tokens)
+			map.add(token, token.line, token.col);
+		map.add(';\r\n');
+		await Expect.createExpectCode(group, file, map);
+
+		if (options.isolate) {
+			let locations = group.map(expect => ({file, line: expect.line, col: expect.tagCol}));
+			await runInWorker(import.meta.url, map, file, locations);
+			continue;
+		}
 
-//file = file.replace(/\\/g, '/');
-
-async function main() {
-
-	let tokens = lex(lexHtml, code, 'js');
-	let expects = Expect.findExpects(tokens);
-	if (expects.length) { // Do nothing if there are no @expect's.
-
-		Expect.rewriteImports(tokens, dir); // in-place
-		let expectCode = Expect.createExpectCode(expects, file);
+		// Globals the file adds are removed after, so they don't leak into the next file.  Except those from the modules it imports,
+		// since they won't run again when a later file imports them from the cache.
+		let names = () => Object.getOwnPropertyNames(globalThis);
+		let globals = new Set(names()), imported = new Set(), beforeImports;
+		Runner.onImporting = starting => {
+			if (starting)
+				beforeImports = new Set(names());
+			else if (beforeImports)
+				for (let name of names())
+					if (!beforeImports.has(name))
+						imported.add(name);
+		};
+		Runner.captureConsole();
+		try {
+			await runtime.importCode(map.code, file, (url, sourceMap) => {
+				if (sourceMap)
+					map.compose(sourceMap);
+				Runner.addSourceMap(url, file, map);
+				Runner.output = []; // What the file writes as it's imported, outside of any expect.
+			});
+			await new Promise(resolve => setTimeout(resolve)); // Node reports unhandled rejections after the current task.
+		}
+		catch (e) {
+			Runner.report({file, status: 'error', message: Runner.mapStack(e.toString()), stack: Runner.getStack(e), duration: 0});
+		}
+		finally {
+			let output = Runner.output || [];
+			Runner.output = null;
+			if (output.length)
+				Runner.withoutCapture(() => Runner.reporter.output({file}, output.join('\n')));
+			Runner.onImporting = null;
+			for (let name of names())
+				if (!globals.has(name) && !imported.has(name) && Object.getOwnPropertyDescriptor(globalThis, name).configurable)
+					try {
+						delete globalThis[name];
+					}
+					catch (e) {} // One global that can't be removed shouldn't stop the run.
+		}
+	}
 
-		// Add JSDom so tests that use DOM nodes can work.
-		// This still won't make svg work though.
-		let code2 =
-			`import jsdom_ZZZ from "https://dev.jspm.io/jsdom";
-globalThis.document = new jsdom_ZZZ.JSDOM('<!DOCTYPE html>').window.document;
-` + tokens.join('') + ';\r\n' + expectCode;
+	for (let key of Snapshots.close(expects.length === all.length))
+		Runner.summary.unusedSnapshots.push({file: Snapshots.path(file), key});
+	Runner.summary.fixed += Fix.close();
+}
 
+async function main() {
+	await runtime.init();
+	if (runtime.isWorker) // Started by runInWorker().
+		return startWorker();
+
+	globalThis.Expect_ZZZ = Runner; // Used by the generated expect code.
+
+	// Errors from timers and unhandled rejections can't be tied to an expect, so they're errors for the whole file.
+	// Kept until the process exits, since a timer can throw after its file has finished.
+	runtime.catchUncaught(error => Runner.reportUncaught(error));
+
+	let args = parseArgs(runtime.args());
+	Snapshots.update = args.updateSnapshots;
+	Fix.enabled = args.fix;
+	Docs.dir = args.docs;
+	Docs.format = args.docsFormat;
+
+	if (args.lsp) {
+		Snapshots.save = false; // Results of unsaved code may be temporary.
+		Config.defaults = {...Config.defaults, isolate: 'comment'}; // Import changed modules fresh, and stop any that hang.
+		return serveLsp(async (file, code) => {
+			let events = [];
+			Config.cache.clear(); // Config files may have changed.
+			Runner.resetSummary();
+			Runner.reporter = {event: event => events.push(event), output: () => {}};
+			await runFile(file, args, code);
+			return events;
+		});
+	}
 
-		// let func = new AsyncFunction(code2);
-		// func();
+	let paths = args.paths.filter(path => path !== 'expect.js');
+	if (!paths.length) {
+		console.error('Please specify a file.');
+		runtime.exit(ExitCode.usage);
+	}
+	let roots = paths.map(path => path.replace(/\/?[^/]*[*?[{].*$/, '') || '.'); // The directory before any glob.
+
+	// Options that apply to the whole run come from the config of the first path.
+	let files, options;
+	let find = strict => findFiles(paths, options.include.length ? options.include : undefined, options.exclude, strict);
+	try {
+		options = Config.merge(Config.defaults, await Config.find(roots[0]), args);
+		if (!reporters[options.reporter])
+			throw new Error(`Invalid reporter ${options.reporter}`);
+		runtime.requestPermissions(options.permissions);
+		files = find(true);
+	}
+	catch (e) {
+		console.error(e.message);
+		runtime.exit(ExitCode.usage);
+	}
+	Runner.timeout = options.timeout;
+	Runner.reporter = reporters[options.reporter]();
 
-		const encodedJs = encodeURIComponent(code2);
-		const dataUri = 'data:text/javascript;charset=utf-8,'
-			+ encodedJs;
-		await import(dataUri);
+	if (args.watch) {
+		return watch(roots, find, file => findImports(file, args), files => runtime.rerun([...args.options, ...files]));
 	}
 
+	let start = performance.now();
+	Runner.resetSummary();
+	Runner.reporter.start();
+	for (let file of files) { // One at a time, so that output from each file isn't interleaved.
+		await runFile(file, args);
+		Docs.close();
+	}
+	await runtime.waitForTimers(Runner.timeout); // So their errors fail the run.
+	Runner.summary.duration = performance.now() - start;
+	Runner.withoutCapture(() => Runner.reporter.end(Runner.summary));
+
+	let summary = Runner.summary;
+	if (Docs.dir) { // Only write docs whose examples all pass.
+		if (summary.fileErrors || summary.failed || summary.errored)
+			console.error(`Docs weren't written to ${Docs.dir}, because some expects failed.`);
+		else
+			console.error(`Wrote ${Docs.write().length} docs pages to ${Docs.dir}.`);
+	}
+	runtime.exit(summary.fileErrors ? ExitCode.fileError : summary.failed || summary.errored ? ExitCode.failed : ExitCode.passed);
 }
 
 main(); // b/c terser can't handle top level await.
-
-
-
@@ -0,0 +1,166 @@
+/**
+ * Expand the paths, directories, and glob patterns given on the command line into a list of files.
+ * All paths use forward slashes.
+ */
+import runtime from './runtime.js';
+
+// Files found by searching directories must match one of these.
+export let defaultInclude = ['**/*.{js,mjs,ts,mts}'];
+
+// Never search these, unless given explicitly.  They're matched against paths below the directory being searched,
+// so that naming a build directory searches it, but not a build directory within it.
+// The last is the temporary file Node runs the expects from.
+export let defaultExclude = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/*.min.js', '**/*.d.{ts,mts}', '**/.*.expect.mjs'];
+
+/**
+ * @param path {string}
+ * @return {boolean} True if the path contains any glob characters. */
+export function isGlob(path) {
+	return /[*?[{]/.test(path);
+}
+
+/**
+ * Convert a glob pattern to a regular expression that matches a whole path.
+ * ** matches any number of directories, * and ? match within a single directory name,
+ * {a,b} matches either alternative, and [abc] or [!abc] match a class of characters.
+ * @expect globToRegex('src/*.js').test('src/a.js') //= true
+ * globToRegex('src/*.js').test('src/lib/a.js') //= false
+ * globToRegex('**\/*.js').test('a.js') //= true
+ * globToRegex('**\/*.js').test('src/lib/a.js') //= true
+ * globToRegex('src/**').test('src/lib/a.js') //= true
+ * globToRegex('a?.js').test('ab.js') //= true
+ * globToRegex('a?.js').test('a/.js') //= false
+ * @expect
+ * let regex = globToRegex('*.{js,mts}');
+ * ['a.js', 'a.mts', 'a.ts', 'a.mjs'].filter(file => regex.test(file)) //= ['a.js', 'a.mts']
+ * regex = globToRegex('[!.]*.[jt]s');
+ * ['a.js', 'b.ts', '.c.js', 'a.cs'].filter(file => regex.test(file)) //= ['a.js', 'b.ts']
+ * globToRegex('a+b(1).js').test('a+b(1).js') //= true
+ * globToRegex('a.js').test('abjs') //= false
+ * @param glob {string}
+ * @return {RegExp} */
+export function globToRegex(glob) {
+	let result = '';
+	let braces = 0;
+	for (let i=0; i<glob.length; i++) {
+		let c = glob[i];
+		if (c === '*') {
+			if (glob[i+1] !== '*')
+				result += '[^/]*';
+			else if (glob[i+2] === '/') { // **/ also matches zero directories.
+				result += '(?:.*/)?';
+				i += 2;
+			}
+			else {
+				result += '.*';
+				i++;
+			}
+		}
+		else if (c === '?')
+			result += '[^/]';
+		else if (c === '{') {
+			braces++;
+			result += '(?:';
+		}
+		else if (c === '}' && braces) {
+			braces--;
+			result += ')';
+		}
+		else if (c === ',' && braces)
+			result += '|';
+		else if (c === '[' && glob.indexOf(']', i+2) > i) {
+			let end = glob.indexOf(']', i+2);
+			result += '[' + glob.slice(i+1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+			i = end;
+		}
+		else
+			result += c.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+	}
+	return new RegExp('^' + result + '$');
+}
+
+/**
+ * Use forward slashes and remove any leading ./
+ * @expect normalize('.\\src\\a.js') //= 'src/a.js'
+ * normalize('./src//') //= 'src'
+ * normalize('/') //= '/'
+ * @param path {string}
+ * @return {string} */
+export function normalize(path) {
+	path = path.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+	return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * Get the directory before the first glob character, where we start searching.
+ * @expect globBase('src/**\/*.js') //= 'src'
+ * globBase('*.js') //= '.'
+ * globBase('/tmp/a*\/b.js') //= '/tmp'
+ * @param glob {string}
+ * @return {string} */
+function globBase(glob) {
+	let parts = glob.split('/');
+	let i = parts.findIndex(isGlob);
+	return parts.slice(0, i).join('/') || (glob.startsWith('/') ? '/' : '.');
+}
+
+function join(dir, name) {
+	if (dir === '.')
+		return name;
+	return dir.endsWith('/') ? dir + name : dir + '/' + name;
+}
+
+/**
+ * Find every file to run.
+ *
+ * @param paths {string[]} Files, directories to search recursively, or glob patterns.
+ *     Files given explicitly are always returned, even if they don't match include or exclude.
+ * @param include {string[]} Globs that files found within directories must match.
+ * @param exclude {string[]} Globs for files and directories to skip when searching, in addition to defaultExclude.
+ *     Directories are tested with a trailing slash.
+ * @param strict {boolean=} Throw an error if a directory or glob has no files to run.
+ * @return {string[]} A sorted list of unique files. */
+export default function findFiles(paths, include=defaultInclude, exclude=[], strict=false) {
+	let includes = include.map(globToRegex);
+	let excludes = exclude.map(globToRegex);
+	let defaultExcludes = defaultExclude.map(globToRegex);
+	let result = new Set();
+
+	// Returns the number of files found.
+	let walk = (root, dir, filter) => {
+		let found = 0;
+		let isExcluded = path => excludes.some(regex => regex.test(path))
+			|| defaultExcludes.some(regex => regex.test(root === '.' ? path : path.slice(root.length).replace(/^\//, '')));
+		let entries = runtime.readDir(dir).sort((a, b) => a.name < b.name ? -1 : 1);
+		for (let entry of entries) {
+			let path = join(dir, entry.name);
+			if (entry.isDirectory) {
+				if (!isExcluded(path + '/'))
+					found += walk(root, path, filter);
+			}
+			else if (!isExcluded(path) && filter(path)) {
+				result.add(path);
+				found++;
+			}
+		}
+		return found;
+	};
+
+	for (let path of paths) {
+		path = normalize(path);
+		let found = 1;
+		if (isGlob(path)) {
+			let regex = globToRegex(path);
+			let base = globBase(path);
+			found = walk(base, base, file => regex.test(file));
+		}
+		else if (runtime.stat(path).isDirectory)
+			found = walk(path, path, file => includes.some(regex => regex.test(file)));
+		else
+			result.add(path);
+		if (!found && strict)
+			throw new Error(`No files to run in ${path}`);
+	}
+
+	return [...result].sort();
+}
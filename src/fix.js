@@ -0,0 +1,107 @@
+/**
+ * With --fix, the expected value of each failing //= line is replaced in the source file with the actual value.
+ */
+import runtime from './runtime.js';
+
+var Fix = {
+
+	// Set by --fix.
+	enabled: false,
+
+	// The file being run, and the events of its //= lines: {file:string, events:ExpectEvent[]}
+	current: null,
+
+	/**
+	 * Start collecting the events of a file.
+	 * @param file {string} */
+	open(file) {
+		Fix.current = Fix.enabled ? {file, events: []} : null;
+	},
+
+	/**
+	 * Called by Runner.report() for every event.
+	 * @param event {ExpectEvent} */
+	record(event) {
+		let current = Fix.current;
+		if (current && event.file === current.file && event.line !== undefined && event.actual !== undefined &&
+			event.snapshot === undefined)
+			current.events.push(event);
+	},
+
+	/**
+	 * Rewrite the file, after every expect of it has run.
+	 * A line is only fixed if it failed, and every time it ran it had the same actual value,
+	 * and that value can be written as code.  Everything else in the file is left as is.
+	 * @return {int} Number of lines fixed. */
+	close() {
+		let current = Fix.current;
+		Fix.current = null;
+		if (!current || !current.events.some(event => event.status === 'fail'))
+			return 0;
+
+		let lines = runtime.readTextFile(current.file).split(/(?<=\n)/);
+		let byLine = new Map();
+		for (let event of current.events) {
+			if (!byLine.has(event.line))
+				byLine.set(event.line, []);
+			byLine.get(event.line).push(event);
+		}
+
+		let fixed = 0;
+		for (let [line, events] of byLine) {
+			let actual = events[0].actual;
+			if (!events.some(event => event.status === 'fail') || events.some(event => event.actual !== actual))
+				continue;
+			let text = Fix.replaceExpected(lines[line-1] || '', events[0].col, actual);
+			if (text !== null) {
+				lines[line-1] = text;
+				fixed++;
+			}
+		}
+		if (fixed)
+			runtime.writeTextFile(current.file, lines.join(''));
+		return fixed;
+	},
+
+	/**
+	 * Replace the expected value after the //= marker on one line of a file.
+	 * @param text {string} The line.
+	 * @param col {int} Column where the expect's code starts on the line, before the marker.
+	 * @param actual {string} The formatted actual value.
+	 * @expect
+	 * // Within strings, \/ keeps the markers from being read as this expect's own, and the end of a comment from ending this one.
+	 * Fix.replaceExpected(' * add(1, 2) /\/= 4', 4, '3') //= ' * add(1, 2) /\/= 3'
+	 * Fix.replaceExpected(' * add(1) /\/=  4  *\/', 4, '[1, 2]') //= ' * add(1) /\/=  [1, 2]  *\/'
+	 * Fix.replaceExpected(' * f() /\/! Error', 4, '1') //= null
+	 * Fix.replaceExpected(' * f() /\/= /a/', 4, '"b"') //= null
+	 * Fix.replaceExpected(' * f() /\/= {a: 1, ...}', 4, '{a: 2}') //= null
+	 * Fix.replaceExpected(' * f() /\/= 1', 4, 'function f()') //= null
+	 * Fix.replaceExpected(' * f() /\/= 1', 4, '"*\/"') //= null
+	 * @return {?string} The new line, or null if it's not a //= line or the value can't be written there. */
+	replaceExpected(text, col, actual) {
+		let marker = text.slice(col-1).search(/\/\/[=!]/);
+		if (marker === -1 || text[col-1 + marker + 2] !== '=')
+			return null;
+		try { // Must be valid code that can't end the comment.
+			if (actual.includes('*/'))
+				return null;
+			new Function(`return (${actual});`);
+		}
+		catch (e) {
+			return null;
+		}
+
+		let start = col-1 + marker + 3;
+		start += text.slice(start).search(/\S|$/);
+		let end = text.indexOf('*/', start);
+		if (end === -1)
+			end = text.length;
+		while (end > start && /\s/.test(text[end-1]))
+			end--;
+		if (/^\/|\.\.\.\s*\}/.test(text.slice(start, end))) // Regexes and partial objects are matchers, not values.
+			return null;
+		return text.slice(0, start) + actual + text.slice(end);
+	}
+};
+
+export default Fix;
@@ -0,0 +1,103 @@
+import {partial} from './equals.js';
+
+/**
+ * Convert any value to a readable string that looks like the javascript code that would create it.
+ * Used for the actual and expected values in messages, and for snapshots.
+ *
+ * @param value {*}
+ * @param pretty {boolean} Put each item of arrays, objects, Maps, and Sets on its own line, indented with tabs,
+ *     and write strings with line breaks as template literals.
+ * @expect format([-0, 'a"b', null, undefined, 2n, Symbol('s')]) //= '[-0, "a\\"b", null, undefined, 2n, Symbol(s)]'
+ * format({a: 1, 'b-c': 2, [Symbol('s')]: 3}) //= '{a: 1, "b-c": 2, [Symbol(s)]: 3}'
+ * format(new Map([['k', new Set([1])]])) //= 'new Map([["k", new Set([1])]])'
+ * format(new (class Point { x = 1; })) //= 'Point {x: 1}'
+ * format([new Date(0), /a/g, new TypeError('bad'), new Number(1)]) //= '[new Date("1970-01-01T00:00:00.000Z"), /a/g, TypeError("bad"), new Number(1)]'
+ * format({x: 1, [partial]: true}) //= '{x: 1, ...}'
+ * @expect
+ * let cycle = [1];
+ * cycle.push(cycle);
+ * format(cycle) //= '[1, [Circular]]'
+ * format({a: [1, 2]}, true) //= '{\n\ta: [\n\t\t1,\n\t\t2\n\t]\n}'
+ * format('a\nb', true) //= '`a\nb`'
+ * @return {string} */
+export default function format(value, pretty=false) {
+	let seen = new Set(); // Detect cycles.
+
+	let string = value => {
+		if (pretty && value.includes('\n'))
+			return '`' + value.replace(/[`\\]|\$\{/g, c => '\\' + c) + '`';
+		return JSON.stringify(value);
+	};
+
+	// Join items, on separate lines if pretty.
+	let list = (items, indent, open, close) => {
+		if (!items.length)
+			return open + close;
+		if (!pretty)
+			return open + items.join(', ') + close;
+		return `${open}\n${indent}\t${items.join(`,\n${indent}\t`)}\n${indent}${close}`;
+	};
+
+	let fmt = (value, indent) => {
+		if (typeof value === 'string')
+			return string(value);
+		if (typeof value === 'number')
+			return Object.is(value, -0) ? '-0' : value + '';
+		if (typeof value === 'bigint')
+			return value + 'n';
+		if (typeof value === 'symbol')
+			return Symbol.prototype.toString.call(value); // Not String(value), which terser turns into ""+value, which throws.
+		if (value === undefined || value === null || typeof value === 'boolean')
+			return String(value);
+		if (typeof value === 'function')
+			return /^class\b/.test(Function.prototype.toString.call(value))
+				? `class ${value.name}`
+				: `function ${value.name}()`;
+
+		if (seen.has(value))
+			return '[Circular]';
+		seen.add(value);
+		try {
+			let inner = indent + '\t';
+			let items = values => values.map(item => fmt(item, inner));
+
+			if (Array.isArray(value))
+				return list(items([...value]), indent, '[', ']');
+			if (value instanceof Date)
+				return isNaN(value) ? 'new Date(NaN)' : `new Date(${JSON.stringify(value.toISOString())})`;
+			if (value instanceof RegExp)
+				return value.toString();
+			if (value instanceof Error)
+				return `${value.name}(${string(value.message)})`;
+			if (value instanceof Map)
+				return list([...value].map(([k, v]) => `[${fmt(k, inner)}, ${fmt(v, inner)}]`), indent, 'new Map([', '])');
+			if (value instanceof Set)
+				return list(items([...value]), indent, 'new Set([', '])');
+			if (value instanceof Number || value instanceof String || value instanceof Boolean)
+				return `new ${value.constructor.name}(${fmt(value.valueOf(), indent)})`;
+			if (ArrayBuffer.isView(value) && !(value instanceof DataView))
+				return `new ${value.constructor.name}([${items([...value]).join(', ')}])`;
+			if (value instanceof Promise)
+				return 'Promise {}';
+
+			// Objects and class instances.  Partial objects end with ..., like they're written in expected values.
+			// Only enumerable symbols, which are the ones equals() compares.
+			let symbols = Object.getOwnPropertySymbols(value).filter(key => Object.prototype.propertyIsEnumerable.call(value, key));
+			let props = [...Object.keys(value), ...symbols].map(key => {
+				if (key === partial)
+					return '...';
+				let name = typeof key === 'symbol' ? `[${Symbol.prototype.toString.call(key)}]` :
+					/^[_$a-z][_$\w]*$/i.test(key) ? key : JSON.stringify(key);
+				return `${name}: ${fmt(value[key], inner)}`;
+			});
+			let proto = Object.getPrototypeOf(value);
+			let name = proto && proto !== Object.prototype && proto.constructor ? proto.constructor.name + ' ' : '';
+			return name + list(props, indent, '{', '}');
+		}
+		finally {
+			seen.delete(value);
+		}
+	};
+
+	return fmt(value, '');
+}
@@ -0,0 +1,116 @@
+/**
+ * Run expects in workers, so that each has its own instance of the module being tested,
+ * and so that an expect that never finishes, even an infinite loop, can be stopped.
+ */
+import runtime from './runtime.js';
+import Runner from './runner.js';
+
+/**
+ * Run generated expect code in a new worker, and report its events through the Runner.
+ * The worker is terminated if any expect runs longer than Runner.timeout.
+ * If it times out or crashes, the expect that was running is an error, and the rest aren't run.
+ *
+ * @param workerUrl {string} A module that calls startWorker() when run in a worker.
+ * @param map {object} The sourceMap() with the code created by Expect.createExpectCode().
+ * @param file {string}
+ * @param locations {Location[]} Location of each expect in the code, in the order they run.
+ * @return {Promise} Resolves when the worker finishes or is terminated. */
+export function runInWorker(workerUrl, map, file, locations) {
+	return new Promise(resolve => {
+		let worker = runtime.createWorker(workerUrl);
+		let current = 0, timer, stopped = false, url;
+
+		let stop = () => {
+			stopped = true;
+			clearTimeout(timer);
+			worker.terminate();
+			resolve();
+		};
+
+		// Stop the worker, and report the expect that was running, and the rest as not run.
+		let abort = (event, reason) => {
+			if (stopped)
+				return;
+			stop();
+			if (url && url.startsWith('file:')) // The worker didn't get to delete the temporary file Node runs it from.
+				try {
+					runtime.remove(runtime.fromFileUrl(url));
+				}
+				catch (e) {}
+
+			Runner.report({...locations[current], status: 'error', duration: 0, ...event});
+			for (let location of locations.slice(current + 1))
+				Runner.report({...location, status: 'error', message: `Not run, because an earlier expect ${reason}`, duration: 0});
+		};
+
+		let timeout = () => abort({message: `TimeoutError: Timed out after ${Runner.timeout}ms`, duration: Runner.timeout}, 'timed out');
+
+		worker.onError(error => abort({
+			message: Runner.mapStack(String(error)),
+			stack: error instanceof Error ? Runner.getStack(error) : undefined
+		}, 'crashed the worker'));
+		worker.onExit(code => abort({message: `Error: The worker exited with code ${code}`}, 'stopped the worker'));
+
+		worker.onMessage(message => {
+			if (message.start) { // Restart the timer for each expect.
+				current = locations.findIndex(location => location.line === message.start.line && location.col === message.start.col);
+				clearTimeout(timer);
+				timer = setTimeout(timeout, Runner.timeout);
+			}
+			else if (message.event) {
+				let event = message.event;
+				event.message = event.message && Runner.mapStack(event.message);
+				event.stack = event.stack && Runner.mapStack(event.stack);
+				Runner.report(event);
+			}
+			else if (message.url) { // The code is about to run.
+				url = message.url;
+				if (message.sourceMap) // The worker transpiled it.
+					map.compose(message.sourceMap);
+				Runner.addSourceMap(message.url, file, map);
+			}
+			else if (message.output)
+				Runner.withoutCapture(() => Runner.reporter.output(message.output.location, message.output.text));
+			else if (message.done)
+				stop();
+		});
+
+		timer = setTimeout(timeout, Runner.timeout); // Also limits the time to import the module.
+		worker.post({code: map.code, file, timeout: Runner.timeout});
+	});
+}
+
+/**
+ * Wait for code from runInWorker(), run it, and send back the results.
+ * Call this within the worker. */
+export function startWorker() {
+	let port = runtime.parentPort();
+	port.onMessage(async ({code, file, timeout}) => {
+		globalThis.Expect_ZZZ = Runner; // Used by the generated expect code.
+		Runner.timeout = timeout;
+		Runner.resetSummary();
+		Runner.reporter = {
+			event: event => port.post({event}),
+			output: (location, text) => port.post({output: {location, text}})
+		};
+		Runner.onExpect = location => port.post({start: location});
+		let stopCatching = runtime.catchUncaught(e => Runner.report({file, status: 'error', message: 'Uncaught ' + String(e),
+			stack: Runner.getStack(e), duration: 0})); // Like Runner.reportUncaught() does.
+		Runner.captureConsole();
+		try {
+			await runtime.importCode(code, file, (url, sourceMap) => {
+				port.post({url, sourceMap});
+				Runner.output = []; // Like runFile(), what the file writes as it's imported is reported for the file.
+			});
+			await new Promise(resolve => setTimeout(resolve));
+		}
+		catch (e) {
+			Runner.report({file, status: 'error', message: String(e), stack: Runner.getStack(e), duration: 0});
+		}
+		stopCatching();
+		if (Runner.output && Runner.output.length)
+			Runner.reporter.output({file}, Runner.output.join('\n'));
+		Runner.output = null;
+		port.post({done: true});
+	});
+}
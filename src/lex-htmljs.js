@@ -1,144 +1,298 @@
 /**
  * Grammar for html/js code, including js templates.
+ * The js mode follows the lexical grammar of ECMAScript 2024: https://tc39.es/ecma262/#sec-ecmascript-language-lexical-grammar
  *
  * Known bugs
- * 1. Javascript regex to match regex tokens might not be perfect.  Since no regex can match all regexes?
+ * 1. Whether a / starts a regex or is division is decided by the token before it, which is wrong in a few cases,
+ *    such as a regex at the start of a statement after a block's }.
+ * 2. Whether a < in a template starts a tag looks ahead for its >, past the end of the template if a ${} expression
+ *    within it has unbalanced braces in a string, like `<a ${'{'}>`.  Then relex() may differ from lex().
  */
+import {at} from './lex.js';
+
 {
+	// Each ${ pushes the brace depth of the code it's within, and the } that ends it pops it.
 	let braceDepth = 0;
-	let templateDepth = 0;
-	let whitespace = /^[ \t\v\f\xa0]+/;
+	let braceStack = [];
+	let whitespace = /^(?:[ \t\v\f\xa0\ufeff\u2028\u2029\p{Zs}]|\r(?!\n))+/u; // Lone \r, \u2028, and \u2029 are too rare to count as lines.
 	let ln = /^\r?\n/
 
+	// Each ( pushes whether it follows if, for, while, or with.  Each ) pops it into controlParen.
+	let parens = [];
+	let controlParen = false;
 
-	let expr = code => {
-		if ((lexHtmlJs.allowHashTemplates && code.startsWith('#{')) || code.startsWith('${')) {
-			if (templateDepth <= 0)
-				templateDepth = 1;
+	// Reset the state left by any earlier code that failed to lex.  Called by the first rule of the modes that code starts in.
+	let start = index => {
+		if (!index) {
+			braceDepth = 0;
+			braceStack = [];
+			parens = [];
+			controlParen = false;
+		}
+	};
+
+	let expr = at((code, index) => {
+		if ((lexHtmlJs.allowHashTemplates && code.startsWith('#{', index)) || code.startsWith('${', index)) {
+			braceStack.push(braceDepth);
 			braceDepth = 0;
 			return [
-				code.slice(0, 2),
+				code.slice(index, index+2),
 				'js'
 			];
 		}
-	}
+	});
 
-	let template = code => {
-		if (code[0] === '`') {
-			--templateDepth;
+	let template = at((code, index) => {
+		if (code[index] === '`')
 			return ['`', -1];
-		}
-	};
+	});
 
-	let openTag = goInto => code => { // open tag for html element
-		let match = code.match(/^<!?[\-_\w\xA0-\uFFFF]*/i) || []; // open tag
-		if (match.length)
-			return [match[0], goInto];
+	// Match a regex at an index, without copying the code.
+	let matchAt = (regex, code, index) => {
+		regex.lastIndex = index;
+		let match = regex.exec(code);
+		return match ? match[0] : undefined;
 	};
 
+	let tagName = /<!?[\-_\w\xA0-\uFFFF]*/iy;
+	let openTag = goInto => at((code, index) => { // open tag for html element
+		let match = matchAt(tagName, code, index);
+		if (match)
+			return [match, goInto];
+	});
+
 	let tag = { // html tag within template.
 		attribute: /^[\-_$\w\xA0-\uFFFF]*/i,
 		string: [
-			code => code[0] === "'" ? ["'", 'squote'] : undefined,
-			code => code[0] === '"' ? ['"', 'dquote'] : undefined
+			at((code, index) => code[index] === "'" ? ["'", 'squote'] : undefined),
+			at((code, index) => code[index] === '"' ? ['"', 'dquote'] : undefined)
 		],
 		equals: '=',
 		template,
-		tagEnd: code => {
-			if (code[0] === '>')
+		tagEnd: at((code, index) => {
+			if (code[index] === '>')
 				return ['>', -1];
-			if (code.startsWith('/>'))
+			if (code.startsWith('/>', index))
 				return ['/>', -1];
-		},
+		}),
 		whitespace: [whitespace, ln],
 
-		unknown: code => lexHtmlJs.allowUnknownTagTokens
-			? [code.match(/^\w+|\S/) || []][0] // Don't fail on unknown stuff in html tags.
-			: undefined,
+		unknown: at((code, index) => lexHtmlJs.allowUnknownTagTokens
+			? [matchAt(/\w+|\S/y, code, index)] // Don't fail on unknown stuff in html tags.
+			: undefined),
 	};
 
 	let closeTag = /^<\/[\-_$\w\xA0-\uFFFF]*\s*>/i;
 
-	// Tokens that can occur before a regex.
+	// Whether an html tag within a template ends before the template does.  If not, e.g. `<div ` + `class="a">`,
+	// it's lexed as text, since a template can't be ended from within a tag.
+	let tagEndsInTemplate = (code, index) => {
+		for (let i=index+1, depth=0; i<code.length; i++) {
+			if (code.startsWith('${', i) || (lexHtmlJs.allowHashTemplates && code.startsWith('#{', i)))
+				depth++, i++;
+			else if (depth && code[i] === '{')
+				depth++;
+			else if (depth && code[i] === '}')
+				depth--;
+			else if (!depth && (code[i] === '>' || code[i] === '`'))
+				return code[i] === '>';
+		}
+		return false;
+	};
+
+	// Identifiers may contain unicode escapes, like \u0061 or \u{61}.
+	let escape = String.raw`\\u(?:[\da-fA-F]{4}|\{[\da-fA-F]+\})`;
+	let identifierStart = String.raw`(?:[\p{ID_Start}$_]|${escape})`;
+	let identifierPart = String.raw`(?:[\p{ID_Continue}$\u200c\u200d]|${escape})`;
+
+	// Match whole words only, so that e.g. "in" doesn't match the start of "index".
+	let words = list => new RegExp(`^(?:${list.join('|')})(?!${identifierPart})`, 'u');
+
+	let values = 'null true false Infinity NaN undefined globalThis'.split(/ /g);
+	let keywords = `
+		await break case catch class constructor const continue debugger default delete do enum else export extends
+		finally for from function if implements import in instanceof interface let new package private protected public
+		return static super switch this throw try typeof var void while with yield`.trim().split(/\s+/g);
+
+	// Punctuators, except for the braces, parentheses, and /, which have their own rules.
+	// Sorted longest first, since the first that matches is used.
+	let operators = (
+		'&& || ?? ! => ' +                       // Logic / misc operators
+		'<<= >>= >>>= &= ^= |= &&= ||= ??= ' +   // Assignment operators
+		'& | ^ ~ >>> << >> ' +                   // Bitwise operators
+		'=== !== == != >= > <= < ' +             // Comparison operators
+		'= **= += -= *= %= ' +                   // Assignment operators 2
+		'++ -- ** + - * % ' +                    // Arithmetic operators
+		', ... . [ ] ? : '                       // Other operators
+	).trim().split(/ /g).sort((a, b) => b.length - a.length);
+
+	// Tokens after which a / starts a regex instead of being division.
 	// https://stackoverflow.com/a/27120110
-	let regexBefore =
-		`{ ( [ . ; , < > <= >= == != === !== + - * % << >> >>> & | ^ ! ~ && || ? : = += -= *= %= <<= >>= >>>= &= |= ^= /=`
-		.split(/ /g);
+	let regexBefore = [
+		...`{ ( [ . ; , < > <= >= == != === !== + - * ** % << >> >>> & | ^ ! ~ && || ?? ? : => = += -= *= **= %= <<= >>=
+			>>>= &= |= ^= &&= ||= ??= /=`.split(/\s+/g),
+		...'await case delete do else extends in instanceof new of return throw typeof void yield'.split(/ /g)
+	];
+
+	// Index of the last token before i that isn't whitespace or a comment, or -1 if there isn't one.
+	let previous = (tokens, i=tokens.length) => {
+		do
+			i--;
+		while (i >= 0 && ['ln', 'whitespace', 'comment'].includes(tokens[i].type));
+		return i;
+	};
+
+	// Text of the last token that isn't whitespace or a comment, or undefined if there isn't one.
+	let significant = tokens => {
+		let i = previous(tokens);
+		return i === -1 ? undefined : tokens[i] + '';
+	};
+
+	// Whether the last token is a ! that follows a value on the same line, which is TypeScript's non-null assertion.
+	// In js that's a syntax error, so it doesn't matter there.
+	let isNonNull = tokens => {
+		let i = previous(tokens), before = previous(tokens, i);
+		if (before === -1 || tokens[i] + '' !== '!' || tokens.slice(before, i).some(token => token.type === 'ln'))
+			return false;
+		let token = tokens[before];
+		return ['identifier', 'value', 'number', 'hex', 'string', 'template'].includes(token.type) || token + '' === 'this' ||
+			token + '' === ']' || (token + '' === ')' && !controlParen);
+	};
+
+	/**
+	 * Find the token before a regex or division, and whether a regex can be there.
+	 * After the ) of if (...), for (...), while (...) or with (...), it's a regex.  After other )'s it's division.
+	 * @param tokens {Token[]} Tokens so far, in the current mode.
+	 * @return {boolean} */
+	let canBeRegex = tokens => {
+		let i = previous(tokens);
+		if (i === -1)
+			return true;
+		if (isNonNull(tokens) || ['.', '?.'].includes(tokens[previous(tokens, i)] + '')) // x.typeof is a property.
+			return false;
+		let token = tokens[i] + '';
+		return token === ')' ? controlParen : regexBefore.includes(token);
+	};
+
+	// Whether a ( here follows the keyword if, for, while, or with.
+	let isControl = tokens => {
+		let i = previous(tokens);
+		return i !== -1 && tokens[i].type === 'keyword' && ['if', 'for', 'while', 'with'].includes(tokens[i] + '');
+	};
+
+	// Whether the next token is a property name, after . or ?.
+	let isProperty = tokens => ['.', '?.'].includes(significant(tokens));
+
+	// Match any of a list of keywords, except where they're property names, which are lexed as identifiers.
+	let keywordRule = list => {
+		let regex = new RegExp(words(list).source.slice(1), 'uy'); // Without the ^.
+		return at((code, index, tokens) => {
+			let match = matchAt(regex, code, index);
+			if (match && !isProperty(tokens))
+				return [match];
+		});
+	};
+
+	// TypeScript's contextual keywords, which are only keywords before what they modify or declare, on the same line.
+	// Elsewhere they're names, like a variable called type, or a method called get.
+	let contextualRule = list => {
+		let regex = new RegExp(words(list).source.slice(1), 'uy');
+		let before = new RegExp(String.raw`[ \t]*(?:["'\x60[{#]|(?!(?:in|of|instanceof|as|satisfies)(?!${identifierPart}))${identifierStart})`, 'uy');
+		let operators = ['as', 'satisfies', 'keyof']; // Also before (, as in x as (A | B).
+		return at((code, index, tokens) => {
+			let match = matchAt(regex, code, index);
+			if (match && !isProperty(tokens) && (matchAt(before, code, index + match.length) !== undefined ||
+				(operators.includes(match) && matchAt(/[ \t]*\(/y, code, index + match.length) !== undefined)))
+				return [match];
+		});
+	};
+
+	let paren = at((code, index, tokens) => {
+		if (code[index] === '(') {
+			parens.push(isControl(tokens));
+			return ['('];
+		}
+		if (code[index] === ')') {
+			controlParen = parens.length ? parens.pop() : false;
+			return [')'];
+		}
+	});
+
+	let regexLiteral = /\/(?![*/])(\\[^\r\n]|\[(\\[^\r\n]|[^\]\\\r\n])*\]|[^/\\[\r\n])+\/[a-zA-Z]*/y;
+	let templateTag = /<!?[\-_\w\xA0-\uFFFF]+[\s/>]/y;
+	let templateText = /(?:\\[\s\S]|[^`\\$<]|\$(?!\{)|<(?![!/\w]))+/y;
+	let hashTemplateText = /(?:\\[\s\S]|[^`\\$#<]|[$#](?!\{)|<(?![!/\w]))+/y;
 
 	/**
 	 * A grammar for parsing js and html within js templates, for use with lex.js. */
 	var lexHtmlJs = {
 
 		js: {
+			hashbang: at((code, index) => { // Only at the very start.
+				start(index);
+				if (!index && code.startsWith('#!'))
+					return [matchAt(/#![^\r\n]*/y, code, index)];
+			}),
 			whitespace,
 			ln, // Separate from whitespace because \n can be used instead of semicolon to separate js statements.
 			semicolon: ';',
-			comment: [/^\/\/.*(?=\r?\n)/, /^\/\*[\s\S]*?\*\//],
-			template: code => {
-				if (code[0] === '`') {
-					++templateDepth;
-					braceDepth = 0;
+			comment: [/^\/\/[^\r\n\u2028\u2029]*/, /^\/\*[\s\S]*?(?:\*\/|$)/], // Unterminated, it continues to the end.
+			template: at((code, index) => {
+				if (code[index] === '`')
 					return ['`', 'template'];
-				}
-			},
-			brace1: code => {
-				if (code[0] === '{') {
+			}),
+			brace1: at((code, index) => {
+				if (code[index] === '{') {
 					braceDepth++;
 					return ['{']
 				}
-			},
-			brace2: code => {
-				if (code[0] === '}') {
-					if (braceDepth === 0 && templateDepth)
+			}),
+			brace2: at((code, index) => {
+				if (code[index] === '}') {
+					if (braceDepth === 0 && braceStack.length) {
+						braceDepth = braceStack.pop();
 						return ['}', -1] // pop out of js mode, back to tempate mode.
+					}
 					braceDepth--;
 					return ['}']; // just match
 				}
-			},
-			value: 'null true false Infinity NaN undefined globalThis'.split(/ /g),
-			hex: /^0x[0-9a-f]+/i, // Must occur before number.
-			number: /^\d*\.?\d+(e\d+)?/, // Must occur before . operator.
-
-			// Regex must occur before / operator.  This matches (almost?) every regular expression, including itself,
-			// but can fail in a few cases.
-			// TODO: See these to improve parsing of regex:
-			// 1. http://stackoverflow.com/questions/172303
-			// 2. http://stackoverflow.com/questions/5519596
-			// Matches \\ \/ [^/] [...]
-			regex: (code, prev, tokens) => {
-				let prevToken;
-				for (let i=tokens.length-1; i>=0; i--)
-					if (tokens[i].type !== 'ln' && tokens[i].type !== 'whitespace' && tokens[i].type !== 'comment') {
-						prevToken = tokens[i]+'';
-						break;
-					}
+			}),
+			value: words(values),
+			hex: [ // Must occur before number.  Binary and octal are included.
+				/^0[xX][\da-fA-F](_?[\da-fA-F])*n?/,
+				/^0[bB][01](_?[01])*n?/,
+				/^0[oO][0-7](_?[0-7])*n?/
+			],
+
+			// Must occur before . operator.  Includes numeric separators, exponents, and BigInts.
+			number: /^(\d(_?\d)*(\.(\d(_?\d)*)?)?|\.\d(_?\d)*)([eE][+-]?\d(_?\d)*)?n?/,
 
-				if (regexBefore.includes(prevToken)) {
-					// Regular expression that matches regular expressions:
-					let matches = code.match(/^\/(\\\\|\\\/|\[\^\/]|\[[^]]]|[^/])+\/[agimsx]*/);
-					if (matches)
-						return [matches[0]];
+			// Regex must occur before / operator.
+			// Matches escapes, and character classes, which may contain an unescaped /.
+			regex: at((code, index, tokens) => {
+				if (code[index] === '/' && canBeRegex(tokens)) {
+					let match = matchAt(regexLiteral, code, index);
+					if (match)
+						return [match];
 				}
-			},
-
-			operator: (
-				'&& || ! => ' +                 // Logic / misc operators
-				'<<= >>= &= ^= |= &&= ||= ' +   // Assignment operators
-				'& | ^ ~ >>> << >> ' +          // Bitwise operators
-				'=== !=== == != >= > <= < ' +   // Comparison operators
-				'= **= += -= *= /= %= ??= ' +   // Assignment operators 2
-				'++ -- ** + - * / % ' +         // Arithmetic operators
-				', ... . ( ) [ ] ? : '			// Other operators
-			).split(/ /g),
-			keyword: `
-				await break case catch class constructor const continue debugger default delete do enum else export extends
-				finally for from function if implements import in instanceof interface let new package private protected public
-				return static super switch this throw try typeof var void while with yield`.trim().split(/\s+/g),
-			string: [/^"(\\\\|\\"|[^"])*"/, /^'(\\\\|\\'|[^'])*'/],
-			identifier: /^[_$a-z\xA0-\uFFFF][_$\w\xA0-\uFFFF]*/i // variables, labels, other things?
+			}),
+
+			operator: [
+				at((code, index) => code.startsWith('?.', index) && !/\d/.test(code[index+2] || '') ? ['?.'] : undefined), // a?.5:1 is a ternary.
+				paren,
+				...operators,
+				'/=', '/'
+			],
+			keyword: keywordRule(keywords),
+			string: [/^"(\\(\r\n|[\s\S])|[^"\\\r\n])*"/, /^'(\\(\r\n|[\s\S])|[^'\\\r\n])*'/],
+			identifier: new RegExp(`^#?${identifierStart}${identifierPart}*`, 'u') // Variables, labels, and #private names.
 		},
+		// TypeScript, a superset of the js mode.
+		// Types are lexed with the same tokens as other code, e.g. generics are < and > operators.
+		ts: null, // Set below, since it copies js.
+
 		html: { // top level html not within javascript.  No other modes go to this mode.
-			comment: /^<!--[\s\S]*?-->/,
+			comment: [at((code, index) => start(index)), /^<!--[\s\S]*?(?:-->|$)/],
 			closeTag,
 			openTag: openTag('tag'),
 			text: /^[\s\S]*?(?=<)/,
@@ -146,17 +300,21 @@
 		},
 		template: { // template within javascript
 			expr,
-			comment: /^<!--[\s\S]*?-->/, // TODO: Comment should allow expressions within it.  We need a templateComment mode.
+			comment: /^<!--[\s\S]*?(?:-->|$)/, // TODO: Comment should allow expressions within it.  We need a templateComment mode.
 			closeTag,
-			openTag: openTag('templateTag'),
+			openTag: at((code, index) => matchAt(templateTag, code, index) && tagEndsInTemplate(code, index)
+				? openTag('templateTag')(code, index)
+				: undefined),
 			template,
 
-			// Continue until end of text.
-			// supports both ${} and #{} template expressions.
-			text: code => [code.match(
-				lexHtmlJs.allowHashTemplates  // (?<!\\) is a negative lookbehind to make sure the ${ isn't preceded by an escape \
-					? /^[\s\S]*?(?=<|`|(?<!\\)\${|(?<!\\)#{|(?=$))/
-					: /^[\s\S]*?(?=<|`|(?<!\\)\${|(?=$))/) || []][0],
+			// Continue until the end of the template, a ${} or #{} expression, or an html tag.  Escaped characters are text.
+			text: at((code, index) => {
+				let match = matchAt(lexHtmlJs.allowHashTemplates ? hashTemplateText : templateText, code, index);
+				if (match)
+					return [match];
+				if (code[index] === '<') // Not a tag, since openTag and closeTag didn't match.
+					return ['<'];
+			}),
 		},
 		templateTag: { // html tag within template.
 			expr,
@@ -168,13 +326,13 @@
 		squote: { // single quote string within tag
 			expr,
 			text: /^[\s\S]*?(?=(?<!\\)\${|(?<!\\\$?){|<|`|')/, // TODO: Support hash templates.
-			quote: code => code[0] === "'" ? ["'", -1] : undefined
+			quote: at((code, index) => code[index] === "'" ? ["'", -1] : undefined)
 		},
 
 		dquote: { // double quote string within tag.
 			expr,
 			text: /^[\s\S]*?(?=(?<!\\)\${|(?<!\\\$?){|<|`|")/,
-			quote: code => code[0] === '"' ? ['"', -1] : undefined
+			quote: at((code, index) => code[index] === '"' ? ['"', -1] : undefined)
 		},
 
 		// TODO: css?
@@ -187,7 +345,37 @@
 		// Perhaps add a css mode?
 		allowHashTemplates: false,
 		allowUnknownTagTokens: false,
+
+
+		// For relex(): the state the rules depend on, before the next token.
+
+		saveState: tokens => ({
+			braceDepth,
+			braceStack: [...braceStack],
+			parens: [...parens],
+			controlParen,
+			regex: canBeRegex(tokens),
+			control: isControl(tokens),
+			property: isProperty(tokens)
+		}),
+
+		restoreState: state => {
+			braceDepth = state.braceDepth;
+			braceStack = [...state.braceStack];
+			parens = [...state.parens];
+			controlParen = state.controlParen;
+		}
+	};
+
+	let {identifier, ...js} = lexHtmlJs.js;
+	lexHtmlJs.ts = {
+		...js,
+		keyword: [keywordRule(keywords), contextualRule(`
+			abstract accessor as asserts declare get infer is keyof module namespace out override readonly
+			satisfies set type unique`.trim().split(/\s+/g))],
+		decorator: new RegExp(`^@${identifierStart}${identifierPart}*(\\.${identifierStart}${identifierPart}*)*`, 'u'), // Arguments are lexed as normal js.
+		identifier
 	};
 }
 
-export default lexHtmlJs;
\ No newline at end of file
+export default lexHtmlJs;
@@ -1,9 +1,90 @@
+// Collects errors instead of throwing, while lexWithErrors() runs.
+let diagnostics = null;
+
+// Rules of each mode of a grammar, converted to functions that match at an index.  See compile().
+let compiled = new WeakMap();
+
+// Start of an error token: any whitespace no rule matched, and one more character.
+let errorText = /\s*[\s\S]/uy;
+
+// While relex() runs: the array of top level tokens, a function that saves the grammar's state,
+// and a function called after each token that returns true once the rest of the previous tokens can be reused.
+let resume = null;
+
+// Token -> the grammar's state before it, for top level tokens lexed by relex().
+let states = new WeakMap();
+
+// Tokens returned by relex() -> their code, so it doesn't need to be joined again.
+let codes = new WeakMap();
+
+/**
+ * Mark a function rule as one that's given the whole code, the index to match at, and the tokens so far,
+ * instead of the code ahead and behind.  This is faster, since the code doesn't need to be copied for every token.
+ * @param func {function(string, int, Token[]):(array|undefined)}
+ * @return {function} The same function. */
+export function at(func) {
+	func.at = true;
+	return func;
+}
+
+/**
+ * Convert the rules of a mode to functions that match at an index, without copying the code.
+ * Regexes are replaced with sticky copies, with any ^ at their start removed, since they always match at the index.
+ * @param rules {object<string, GrammarRule|GrammarRule[]>} One mode of a grammar.
+ * @return {[string, function(string, int, Token[]):(array|undefined)][]} The type of each rule, and its matchers. */
+function compile(rules) {
+	let result = compiled.get(rules);
+	if (result)
+		return result;
+
+	result = Object.entries(rules).map(([type, value]) => [type, (Array.isArray(value) ? value : [value]).map(pattern => {
+		if (pattern instanceof RegExp) {
+			let regex = new RegExp(pattern.source.replace(/^\^/, ''), pattern.flags.replace(/[gy]/g, '') + 'y');
+			return (code, index) => {
+				regex.lastIndex = index;
+				let match = regex.exec(code);
+				return match ? [match[0]] : undefined;
+			};
+		}
+		if (typeof pattern === 'function')
+			return pattern.at ? pattern : (code, index, tokens) => pattern(code.slice(index), code.slice(0, index), tokens);
+		return (code, index) => code.startsWith(pattern, index) ? [pattern] : undefined;
+	})]);
+	compiled.set(rules, result);
+	return result;
+}
+
+/**
+ * Find the first rule of a mode that matches at an index.
+ * @param rules {array} From compile().
+ * @param code {string}
+ * @param index {int}
+ * @param tokens {Token[]} Tokens so far, in the mode.
+ * @return {array} [match, mode, type], or an empty array if no rule matches. */
+function identify(rules, code, index, tokens) {
+	for (let [type, matchers] of rules)
+		for (let match of matchers) {
+			let [token, matchType] = match(code, index, tokens) || [];
+			if (token)
+				return [token, matchType, type];
+		}
+	return [];
+}
+
 /**
  * Parse code into tokens according to rules in a grammar.
  *
+ * @expect
+ * let {default: htmljs} = await import('./lex-htmljs.js');
+ * let tokens = lex(htmljs, 'a = 1 / 2;\nf(/b/g);');
+ * tokens.map(String) //= ['a', ' ', '=', ' ', '1', ' ', '/', ' ', '2', ';', '\n', 'f', '(', '/b/g', ')', ';']
+ * [tokens[6].type, tokens[13].type] //= ['operator', 'regex']
+ * [tokens[13].line, tokens[13].col] //= [2, 3]
+ *
  * @typedef GrammarRule {(
  *     string |
- *     function(string, string=):array |
+ *     function(string, string=, Token[]=):array |
+ *     function(string, int, Token[]):array |
  *     RegExp
  * )}
  *
@@ -20,6 +101,7 @@
  *    Or undefined if there's no match.
  *    Where match is the string that matches.
  *    Function is given code ahead, code behind, and the list of parsed tokens.
+ *    Or if marked with at(), the whole code, the index to match at, and the list of parsed tokens.
  * 4. An array containing any mix of the above.
  *
  * @param code {string} String to parse.
@@ -29,32 +111,34 @@
  * @param col {int=} Start counting from this column.
  * @param index {int} Used internally.
  *
- * @return Token[] */
+ * @return Token[]
+ * Time is linear in the length of the code, as long as each rule only looks at the code near the index. */
 export default function lex(grammar, code, mode=null, result=[], line=1, col=1, index=0) {
 	mode = mode || Object.keys(grammar)[0]; // start in first mode.
 	code = code+'';
+	let rules = compile(grammar[mode]);
+	let top = resume && resume.tokens === result;
 	while (index < code.length) {
-		let current = code.slice(index);
+		let state = top ? resume.save() : undefined;
 
 		// 1. Identify token
-		let matchType = undefined, token = undefined;
-		Token:
-		for (var type in grammar[mode]) {
-			let value = grammar[mode][type];
-			value = Array.isArray(value) ? value : [value]; // Convert single items to array
-			for (let pattern of value) { // iterate over array and handle every item type
-				if (pattern instanceof RegExp)
-					token = (current.match(pattern) || [])[0];
-				else if (typeof pattern === 'function')
-					[token, matchType] = pattern(current, code.slice(0, index), result) || [];
-				else if (current.startsWith(pattern))
-					token = pattern;
-				if (token)
-					break Token; // escape double loop.
-		} 	}
+		let [token, matchType, type] = identify(rules, code, index, result);
+		if (!token && diagnostics) { // Make the text up to the next whitespace, or to where a rule matches, an error token.
+			errorText.lastIndex = index;
+			let end = index + errorText.exec(code)[0].length;
+			let saved = grammar.saveState ? grammar.saveState(result) : undefined; // Since rules may change it.
+			while (end < code.length && !/\s/.test(code[end]) && !identify(rules, code, end, result)[0])
+				end++;
+			if (grammar.restoreState)
+				grammar.restoreState(saved);
+			token = code.slice(index, end);
+			type = 'error';
+			matchType = undefined;
+			diagnostics.push({message: `Unknown token within "${mode}"`, mode, line, col, text: token});
+		}
 		//#IFDEV
 		if (!token) {
-			let msg = (code.slice(index - 10, index) + '⚠️' + current.slice(0, 20)).replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+			let msg = (code.slice(Math.max(0, index - 10), index) + '⚠️' + code.slice(index, index + 20)).replace(/\r/g, '\\r').replace(/\n/g, '\\n');
 			throw new Error(`Unknown token within "${mode}" at ${line}:${col}\r\n"${msg}"`);
 		}
 		//#ENDIF
@@ -74,10 +158,156 @@ export default function lex(grammar, code, mode=null, result=[], line=1, col=1,
 		result.push(token);
 
 		// 4. Increment line/col number.
-		line += (token.match(/\n/g) || []).length; // count line returns
+		for (let i=token.indexOf('\n'); i>-1; i=token.indexOf('\n', i+1)) // count line returns
+			line++;
 		let lastLn = token.lastIndexOf('\n');
 		col = (lastLn >-1 ? -lastLn : col) + token.length;
+
+		// 5. Save the state for relex(), and stop if the previous tokens can be reused from here.
+		if (top) {
+			states.set(token, state);
+			if (resume.next(index, line, col))
+				break;
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Parse code like lex(), but instead of throwing on text that no rule matches, make it a token of type 'error' and continue.
+ * Each error token is the text up to the next whitespace, or to where a rule matches again, like the ` that ends a template.
+ * Joining the tokens still gives the code.
+ * @expect
+ * let {default: htmljs} = await import('./lex-htmljs.js');
+ * let {tokens, diagnostics} = lexWithErrors(htmljs, 'f(html`<a @x>Go</a>`, 1 # 2);');
+ * diagnostics.map(diagnostic => [diagnostic.text, diagnostic.line, diagnostic.col]) //= [['@', 1, 11], ['#', 1, 25]]
+ * tokens[3].type //= 'template'
+ * tokens.join('') //= 'f(html`<a @x>Go</a>`, 1 # 2);'
+ * @param grammar {object} See lex().
+ * @param code {string}
+ * @param mode {?string}
+ * @return {{tokens:Token[], diagnostics:{message:string, mode:string, line:int, col:int, text:string}[]}} */
+export function lexWithErrors(grammar, code, mode=null) {
+	let outer = diagnostics;
+	diagnostics = [];
+	try {
+		return {tokens: lex(grammar, code, mode), diagnostics};
+	}
+	finally {
+		diagnostics = outer;
+	}
+}
+
+/**
+ * Lex code again after an edit, reusing the tokens before and after it, with the same result as lex() of the new code.
+ * Lexing restarts at the top level token that has the start of the line before the edit, with the grammar's state before it,
+ * and stops at the first token after the edit where the state is the same as before, since the rest would be too.
+ *
+ * A grammar that keeps state between rules can have saveState(tokens) and restoreState(state) functions,
+ * so it can be resumed.  The state must include everything the rules depend on besides the code,
+ * including anything from the tokens before, and be comparable as JSON.
+ * Rules can look ahead past the text they match, but only as far as the start of the line after the one their token ends on.
+ * For rules that enter a mode, their token is the whole token with the tokens of the mode.
+ *
+ * @expect
+ * let {default: htmljs} = await import('./lex-htmljs.js');
+ * let describe = tokens => tokens.map(token => [token + '', token.type, token.line, token.col, token.tokens && describe(token.tokens)]);
+ * let code = 'let a = 1;\nlet b = `x${a}`;\nf(b / 2);\n';
+ * let tokens = relex(htmljs, [], {offset: 0, inserted: code});
+ * let edit = (offset, deleted, inserted) => {
+ *     code = code.slice(0, offset) + inserted + code.slice(offset + deleted);
+ *     tokens = relex(htmljs, tokens, {offset, deleted, inserted});
+ *     return describe(tokens);
+ * };
+ * let last = tokens[tokens.length - 1];
+ * edit(8, 1, '2,\n\tc = /re/g') //= describe(lex(htmljs, code))
+ * tokens[tokens.length - 1] === last //= true
+ * edit(0, 0, '`') //= describe(lex(htmljs, code))
+ * edit(0, 1, '') //= describe(lex(htmljs, code))
+ *
+ * @param grammar {object} See lex().
+ * @param tokens {Token[]} From relex() of the code before the edit.  Or an empty array, to lex the inserted text.
+ *     Tokens after the edit are moved into the result, and their line and col changed.
+ * @param edit {{offset:int, deleted:int=, inserted:string=}} Index of the edit in the code, and the text it replaced.
+ * @param mode {?string}
+ * @return Token[] */
+export function relex(grammar, tokens, edit, mode=null) {
+	let old = codes.has(tokens) ? codes.get(tokens) : tokens.join('');
+	let {offset, deleted=0, inserted=''} = edit;
+	let code = old.slice(0, offset) + inserted + old.slice(offset + deleted);
+	let shift = inserted.length - deleted;
+
+	// Find the token that has the start of the line before the edit, by its line number.
+	let lineStart = offset > 1 ? old.lastIndexOf('\n', offset - 2) + 1 : 0;
+	let startLine = 1;
+	for (let n=old.indexOf('\n'); n>-1 && n<lineStart; n=old.indexOf('\n', n+1))
+		startLine++;
+	let i = 0, index = 0;
+	for (let low=0, high=tokens.length-1; low <= high;) { // The last token that starts at or before the line.
+		let middle = (low + high) >> 1;
+		if (tokens[middle].line < startLine || (tokens[middle].line === startLine && tokens[middle].col === 1))
+			i = middle, low = middle + 1;
+		else
+			high = middle - 1;
+	}
+	if (tokens.length) { // Find its index, going back from the start of the line.
+		index = lineStart;
+		for (let n=startLine - tokens[i].line; n>0; n--)
+			index = index > 1 ? old.lastIndexOf('\n', index - 2) + 1 : 0;
+		index += tokens[i].col - 1;
 	}
+	let restart = tokens[i];
+	if (restart && !states.has(restart)) // Not from relex(), so lex it all.
+		i = index = 0, restart = undefined;
+	if (restart && grammar.restoreState)
+		grammar.restoreState(states.get(restart));
 
+	let result = tokens.slice(0, i);
+	let j = i, oldIndex = index; // The first previous token that doesn't start before the current one ends, and its index.
+	let sync = null;
+	let outer = resume;
+	resume = {
+		tokens: result,
+		save: () => grammar.saveState ? grammar.saveState(result) : null,
+		next(newIndex, line, col) {
+			while (j < tokens.length && oldIndex + shift < newIndex)
+				oldIndex += tokens[j++].length;
+			let next = tokens[j];
+			if (next && oldIndex + shift === newIndex && oldIndex >= offset + deleted && states.has(next) &&
+				result[result.length-1] + '' === tokens[j-1] + '' && // Since rules may look behind into it.
+				JSON.stringify(resume.save()) === JSON.stringify(states.get(next)))
+				sync = {line, col};
+			return !!sync;
+		}
+	};
+	try {
+		lex(grammar, code, mode, result, restart ? restart.line : 1, restart ? restart.col : 1, index);
+	}
+	finally {
+		resume = outer;
+	}
+	if (!sync) {
+		codes.set(result, code);
+		return result;
+	}
+
+	// Reuse the rest, moving them to their new lines and cols.
+	let rest = tokens.slice(j);
+	let syncLine = rest[0].line, lineShift = sync.line - syncLine, colShift = sync.col - rest[0].col;
+	let move = tokens => {
+		for (let token of tokens) {
+			if (!lineShift && token.line > syncLine)
+				break;
+			if (token.line === syncLine)
+				token.col += colShift;
+			token.line += lineShift;
+			if (token.tokens)
+				move(token.tokens);
+		}
+	};
+	move(rest);
+	result = result.concat(rest);
+	codes.set(result, code);
 	return result;
-}
\ No newline at end of file
+}
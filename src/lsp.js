@@ -0,0 +1,260 @@
+/**
+ * A language server, so that any editor can show the results of expects as a file is edited, without saving it.
+ * It's started with --lsp, and speaks the Language Server Protocol over stdin and stdout:
+ * https://microsoft.github.io/language-server-protocol/specifications/lsp/3.17/specification/
+ *
+ * Each time a document opens or changes, its expects are run, and the ones that fail are published as diagnostics.
+ * Inlay hints show the actual value of each //= line, and a code action replaces the expected value of a failing one.
+ */
+import runtime from './runtime.js';
+import Fix from './fix.js';
+
+let DiagnosticSeverity = {error: 1};
+let TextDocumentSyncKind = {full: 1};
+let ErrorCodes = {parseError: -32700, methodNotFound: -32601, internalError: -32603};
+
+// Longest inlay hint, in characters.
+let maxHint = 100;
+
+/**
+ * Read the messages of the base protocol, which each have a Content-Length header, from a stream of bytes.
+ * @param callback {function(?object)} Called with each message, or with null if one isn't valid JSON.
+ * @return {function(Uint8Array)} Call with each chunk of bytes as it arrives. */
+export function readMessages(callback) {
+	let buffer = new Uint8Array(0);
+	let decoder = new TextDecoder();
+	return chunk => {
+		let joined = new Uint8Array(buffer.length + chunk.length);
+		joined.set(buffer);
+		joined.set(chunk, buffer.length);
+		buffer = joined;
+
+		while (true) {
+			let headers = decoder.decode(buffer.subarray(0, 1024)); // Headers are ascii, so characters are bytes.
+			let end = headers.indexOf('\r\n\r\n');
+			if (end === -1)
+				return;
+			let [, length] = headers.slice(0, end).match(/^Content-Length:\s*(\d+)/im) || [];
+			let start = end + 4;
+			if (length === undefined) { // Skip headers without a length.
+				buffer = buffer.subarray(start);
+				continue;
+			}
+			if (buffer.length < start + +length)
+				return;
+			let body = decoder.decode(buffer.subarray(start, start + +length));
+			buffer = buffer.subarray(start + +length);
+			let message;
+			try {
+				message = JSON.parse(body);
+			}
+			catch (e) {
+				message = null;
+			}
+			callback(message);
+		}
+	};
+}
+
+/**
+ * Get the range to mark for an event: from its column to the end of the code on its line, before any end of comment.
+ * @param lines {string[]} Of the document.
+ * @param event {ExpectEvent}
+ * @return {{start:{line:int, character:int}, end:{line:int, character:int}}} Lines and characters start at 0. */
+export function eventRange(lines, event) {
+	let line = event.line === undefined ? 0 : event.line - 1;
+	let text = lines[line] || '';
+	let start = event.col === undefined ? text.search(/\S|$/) : event.col - 1;
+	let end = text.indexOf('*/', start);
+	if (end === -1)
+		end = text.length;
+	while (end > start && /\s/.test(text[end-1]))
+		end--;
+	return {start: {line, character: start}, end: {line, character: end}};
+}
+
+/**
+ * Serve the Language Server Protocol on stdin and stdout, until the client exits.
+ * @param check {function(string, string):Promise<ExpectEvent[]>} Runs the expects of a file, given its path and text,
+ *     and resolves with every event.  Only one check runs at a time. */
+export default function serve(check) {
+	let encoder = new TextEncoder();
+	let send = message => {
+		let body = encoder.encode(JSON.stringify({jsonrpc: '2.0', ...message}));
+		runtime.writeStdout(encoder.encode(`Content-Length: ${body.length}\r\n\r\n`));
+		runtime.writeStdout(body);
+	};
+	runtime.reserveStdout(); // So nothing the code under test prints can corrupt the messages.
+
+	// uri -> {file:string, text:string, version:int, checked:?{text:string, lines:string[], events:ExpectEvent[]}}
+	let documents = new Map();
+	let capabilities = {}, shuttingDown = false, requests = 0;
+
+	// Check a document a moment after it stops changing.
+	let timers = new Map(), queue = Promise.resolve();
+	let schedule = uri => {
+		clearTimeout(timers.get(uri));
+		timers.set(uri, setTimeout(() => {
+			timers.delete(uri);
+			queue = queue.then(() => run(uri));
+		}, 200));
+	};
+
+	let run = async uri => {
+		let document = documents.get(uri);
+		if (!document)
+			return;
+		let {file, text, version} = document;
+		let events;
+		try {
+			events = await check(file, text);
+		}
+		catch (e) {
+			events = [{file, status: 'error', message: String(e), duration: 0}];
+		}
+		if (documents.get(uri) !== document || document.version !== version) // Changed while running, so it runs again.
+			return;
+
+		let lines = text.split(/\r?\n/g);
+		document.checked = {text, lines, events};
+		let diagnostics = events.filter(event => event.status === 'fail' || event.status === 'error').map(event => ({
+			range: eventRange(lines, event),
+			severity: DiagnosticSeverity.error,
+			source: 'expect.js',
+			message: event.message + (event.diff ? '\n' + event.diff : '')
+		}));
+		send({method: 'textDocument/publishDiagnostics', params: {uri, version, diagnostics}});
+		let workspace = capabilities.workspace || {};
+		if (workspace.inlayHint && workspace.inlayHint.refreshSupport)
+			send({id: 'refresh' + ++requests, method: 'workspace/inlayHint/refresh'});
+	};
+
+	// Events of //= lines, grouped by line, for the up-to-date results of a document.
+	let equalsLines = document => {
+		let result = new Map();
+		let checked = document && document.checked;
+		if (!checked || checked.text !== document.text)
+			return result;
+		for (let event of checked.events) {
+			let text = checked.lines[event.line - 1];
+			if (event.actual === undefined || text === undefined)
+				continue;
+			let marker = text.slice(event.col - 1).match(/\/\/([=!~>])/);
+			if (!marker || marker[1] !== '=')
+				continue;
+			if (!result.has(event.line - 1))
+				result.set(event.line - 1, []);
+			result.get(event.line - 1).push(event);
+		}
+		return result;
+	};
+
+	let handlers = {
+		initialize(params) {
+			capabilities = params.capabilities || {};
+			return {
+				capabilities: {
+					textDocumentSync: {openClose: true, change: TextDocumentSyncKind.full},
+					inlayHintProvider: true,
+					codeActionProvider: {codeActionKinds: ['quickfix']}
+				},
+				serverInfo: {name: 'expect.js'}
+			};
+		},
+
+		shutdown() {
+			shuttingDown = true;
+			return null;
+		},
+
+		exit() {
+			runtime.exit(shuttingDown ? 0 : 1);
+		},
+
+		'textDocument/didOpen'({textDocument}) {
+			if (!textDocument.uri.startsWith('file:'))
+				return;
+			documents.set(textDocument.uri, {file: runtime.fromFileUrl(textDocument.uri), text: textDocument.text,
+				version: textDocument.version, checked: null});
+			schedule(textDocument.uri);
+		},
+
+		'textDocument/didChange'({textDocument, contentChanges}) {
+			let document = documents.get(textDocument.uri);
+			if (!document || !contentChanges.length)
+				return;
+			document.text = contentChanges[contentChanges.length - 1].text; // Full sync, so the last has the whole text.
+			document.version = textDocument.version;
+			schedule(textDocument.uri);
+		},
+
+		'textDocument/didClose'({textDocument}) {
+			clearTimeout(timers.get(textDocument.uri));
+			if (documents.delete(textDocument.uri))
+				send({method: 'textDocument/publishDiagnostics', params: {uri: textDocument.uri, diagnostics: []}});
+		},
+
+		'textDocument/inlayHint'({textDocument, range}) {
+			let document = documents.get(textDocument.uri);
+			let hints = [];
+			for (let [line, events] of equalsLines(document)) {
+				if (line < range.start.line || line > range.end.line)
+					continue;
+				let label = [...new Set(events.map(event => event.actual.replace(/\s*\n\s*/g, ' ')))].join(', ');
+				if (label.length > maxHint)
+					label = label.slice(0, maxHint - 1) + '…';
+				hints.push({position: eventRange(document.checked.lines, events[0]).end, label: '→ ' + label, paddingLeft: true});
+			}
+			return hints;
+		},
+
+		'textDocument/codeAction'({textDocument, range, context}) {
+			let document = documents.get(textDocument.uri);
+			let actions = [];
+			for (let [line, events] of equalsLines(document)) {
+				let actual = events[0].actual;
+				if (line < range.start.line || line > range.end.line || events[0].snapshot !== undefined ||
+					!events.some(event => event.status === 'fail') || events.some(event => event.actual !== actual))
+					continue;
+				let text = document.checked.lines[line];
+				let newText = Fix.replaceExpected(text, events[0].col, actual);
+				if (newText === null)
+					continue;
+				actions.push({
+					title: `Replace expected value with ${actual.length > maxHint ? actual.slice(0, maxHint - 1) + '…' : actual}`,
+					kind: 'quickfix',
+					diagnostics: ((context || {}).diagnostics || []).filter(diagnostic => diagnostic.range.start.line === line),
+					isPreferred: true,
+					edit: {changes: {[textDocument.uri]: [{
+						range: {start: {line, character: 0}, end: {line, character: text.length}},
+						newText
+					}]}}
+				});
+			}
+			return actions;
+		}
+	};
+
+	let receive = message => {
+		if (message === null)
+			return send({id: null, error: {code: ErrorCodes.parseError, message: 'Invalid JSON'}});
+		if (!message.method) // A response to one of our requests.
+			return;
+		let handler = handlers[message.method];
+		if (message.id === undefined) { // Notifications don't get a response, even for errors.
+			if (handler)
+				handler(message.params || {});
+			return;
+		}
+		if (!handler)
+			return send({id: message.id, error: {code: ErrorCodes.methodNotFound, message: `Unknown method ${message.method}`}});
+		try {
+			send({id: message.id, result: handler(message.params || {})});
+		}
+		catch (e) {
+			send({id: message.id, error: {code: ErrorCodes.internalError, message: String(e)}});
+		}
+	};
+
+	runtime.readStdin(readMessages(receive), () => runtime.exit(shuttingDown ? 0 : 1));
+}
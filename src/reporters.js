@@ -0,0 +1,202 @@
+/**
+ * Reporters render the ExpectEvents from the Runner.
+ * Each is a function that creates an object with these functions:
+ * start() before any files are run, event(ExpectEvent) for each result,
+ * output(Location, string) for what an expect wrote to the console that no //> line compared,
+ * or with a Location that has no line, for what a file wrote while it was imported,
+ * and end(Summary) after every file is run.
+ * Reporters with ownsStdout print results that a machine reads, so other console output goes to stderr.
+ */
+
+/**
+ * @param event {ExpectEvent}
+ * @return {string} file:line:col, or just the file if the event is for a whole file. */
+function location(event) {
+	return event.line === undefined ? event.file : `${event.file}:${event.line}:${event.col}`;
+}
+
+/**
+ * @param from {Location}
+ * @return {string} Where output came from, an @expect or a whole file. */
+function outputOf(from) {
+	return from.line === undefined ? from.file : '@expect at ' + location(from);
+}
+
+/**
+ * @param summary {Summary}
+ * @return {string} */
+function summarize(summary) {
+	let result = `${summary.passed} passed, ${summary.failed} failed, ${summary.errored} errored, ${summary.skipped} skipped ` +
+		`in ${summary.files} file${summary.files === 1 ? '' : 's'} (${(summary.duration / 1000).toFixed(2)}s)`;
+	if (summary.fileErrors)
+		result += `, ${summary.fileErrors} file error${summary.fileErrors === 1 ? '' : 's'}`;
+	if (summary.fixed)
+		result += `, ${summary.fixed} expected value${summary.fixed === 1 ? '' : 's'} fixed`;
+	let unused = summary.unusedSnapshots.length;
+	if (unused)
+		result += `, ${unused} unused snapshot${unused === 1 ? '' : 's'} (remove with --update-snapshots)`;
+	return result;
+}
+
+/**
+ * @param summary {Summary}
+ * @return {string[]} A line for each unused snapshot. */
+function unusedSnapshots(summary) {
+	return summary.unusedSnapshots.map(({file, key}) => `Unused snapshot ${key} in ${file}`);
+}
+
+function escapeXml(text) {
+	return (text + '').replace(/[<>&"']/g, c => ({'<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'})[c]);
+}
+
+var reporters = {
+
+	/**
+	 * Print only failures and errors, in a format IDEs can parse, and list skipped expects at the end. */
+	text: () => {
+		let skipped = [];
+		return {
+			start() {},
+			event(event) {
+				if (event.status === 'skip')
+					skipped.push(event);
+				else if (event.status === 'fail') {
+					console.log(`${event.message} in @expect at ${location(event)}.`);
+					if (event.diff)
+						console.log(event.diff.replace(/^/gm, '    '));
+				}
+				else if (event.status === 'error') {
+					console.error(event.line === undefined
+						? `${event.message} in ${event.file}`
+						: `${event.message} in @expect at ${location(event)}.`);
+					if (event.stack)
+						console.error(event.stack.replace(/^/gm, '    '));
+				}
+			},
+			output(location, text) {
+				console.log(`Output of ${outputOf(location)}:`);
+				console.log(text.replace(/^/gm, '    '));
+			},
+			end(summary) {
+				for (let event of skipped)
+					console.log(`Skipped @expect at ${location(event)}.`);
+				for (let line of unusedSnapshots(summary))
+					console.log(line);
+				console.log(summarize(summary));
+			}
+		};
+	},
+
+	/**
+	 * One JSON object per line for each event. */
+	json: () => ({
+		ownsStdout: true,
+		start() {},
+		event(event) {
+			console.log(JSON.stringify(event));
+		},
+		output(location, text) {
+			console.log(JSON.stringify({...location, output: text}));
+		},
+		end(summary) {
+			console.log(JSON.stringify({summary}));
+		}
+	}),
+
+	/**
+	 * Test Anything Protocol, version 13.  The plan is printed at the end.
+	 * https://testanything.org/tap-version-13-specification.html */
+	tap: () => {
+		let count = 0;
+		return {
+			ownsStdout: true,
+			start() {
+				console.log('TAP version 13');
+			},
+			event(event) {
+				count++;
+				if (event.status === 'skip') {
+					console.log(`ok ${count} - ${location(event)} # SKIP`);
+					return;
+				}
+				console.log(`${event.status === 'pass' ? 'ok' : 'not ok'} ${count} - ${location(event)}`);
+				if (event.status !== 'pass') {
+					let yaml = ['  ---', `  status: ${event.status}`];
+					for (let name of ['message', 'actual', 'expected', 'diff', 'stack'])
+						if (event[name] !== undefined)
+							yaml.push(`  ${name}: ${JSON.stringify(event[name])}`);
+					yaml.push(`  duration_ms: ${+event.duration.toFixed(3)}`, '  ...');
+					console.log(yaml.join('\n'));
+				}
+			},
+			output(location, text) {
+				console.log(`# Output of ${outputOf(location)}:`);
+				console.log(text.replace(/^/gm, '#     '));
+			},
+			end(summary) {
+				console.log(`1..${count}`);
+				for (let line of unusedSnapshots(summary))
+					console.log('# ' + line);
+				console.log('# ' + summarize(summary));
+			}
+		};
+	},
+
+	/**
+	 * JUnit XML, with one testsuite per file.  Printed all at once at the end. */
+	junit: () => {
+		let files = new Map();
+		let outputs = new Map(); // file -> output of its expects.
+		return {
+			ownsStdout: true,
+			start() {},
+			event(event) {
+				if (!files.has(event.file))
+					files.set(event.file, []);
+				files.get(event.file).push(event);
+			},
+			output(location, text) {
+				if (!outputs.has(location.file))
+					outputs.set(location.file, []);
+				outputs.get(location.file).push(`${outputOf(location)}:\n${text}`);
+			},
+			end(summary) {
+				let count = (events, status) => events.filter(event => event.status === status).length;
+				let time = events => (events.reduce((total, event) => total + event.duration, 0) / 1000).toFixed(3);
+				let all = [...files.values()].flat();
+
+				let xml = ['<?xml version="1.0" encoding="UTF-8"?>',
+					`<testsuites tests="${all.length}" failures="${count(all, 'fail')}" errors="${count(all, 'error')}" ` +
+						`skipped="${count(all, 'skip')}" time="${time(all)}">`];
+				for (let [file, events] of files) {
+					xml.push(`  <testsuite name="${escapeXml(file)}" tests="${events.length}" failures="${count(events, 'fail')}" ` +
+						`errors="${count(events, 'error')}" skipped="${count(events, 'skip')}" time="${time(events)}">`);
+					for (let event of events) {
+						let testcase = `    <testcase name="${escapeXml(location(event))}" classname="${escapeXml(file)}" time="${time([event])}"`;
+						if (event.status === 'pass')
+							xml.push(testcase + '/>');
+						else if (event.status === 'skip')
+							xml.push(testcase + '>', '      <skipped/>', '    </testcase>');
+						else {
+							let tag = event.status === 'fail' ? 'failure' : 'error';
+							let details = event.diff ? event.diff : event.actual !== undefined ? `Actual: ${event.actual}\nExpected: ${event.expected}` : event.stack || '';
+							xml.push(testcase + '>',
+								`      <${tag} message="${escapeXml(event.message)}">${escapeXml(details)}</${tag}>`,
+								'    </testcase>');
+						}
+					}
+					if (outputs.has(file))
+						xml.push(`    <system-out>${escapeXml(outputs.get(file).join('\n'))}</system-out>`);
+					xml.push('  </testsuite>');
+				}
+				xml.push('</testsuites>');
+				console.log(xml.join('\n'));
+				for (let line of unusedSnapshots(summary))
+					console.error(line);
+				console.error(summarize(summary)); // Not in stdout, so it doesn't corrupt the xml.
+			}
+		};
+	}
+};
+
+export default reporters;
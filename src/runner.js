@@ -0,0 +1,430 @@
+/**
+ * Functions called by the code generated by Expect.createExpectCode().
+ * It's available to that code as the global Expect_ZZZ.
+ */
+import equals, {partial} from './equals.js';
+import format from './format.js';
+import Snapshots, {diff} from './snapshots.js';
+import Fix from './fix.js';
+import Docs from './docs.js';
+
+/**
+ * Thrown when a promise doesn't settle in time. */
+class TimeoutError extends Error {
+	constructor(ms) {
+		super(`Timed out after ${ms}ms`);
+		this.name = 'TimeoutError';
+	}
+}
+
+/**
+ * @typedef Location {{file:string, line:int, col:int}}
+ *
+ * @typedef ExpectEvent {{
+ *     file:string, line:int, col:int,
+ *     status:('pass'|'fail'|'error'|'skip'),
+ *     message:string=,
+ *     actual:string=,
+ *     expected:string=,
+ *     stack:string=,
+ *     diff:string=,
+ *     snapshot:string=,
+ *     duration:number
+ * }}
+ * The result of a single //= or //! line, or of an @ expect that has none or that threw.
+ * Errors have a stack, with locations mapped back to the original files.
+ * Line and col are undefined for errors that affect a whole file.  Actual and expected are formatted as strings.
+ * //= snapshot lines have the key of their snapshot, and a diff from the snapshot if they fail.
+ *
+ * @typedef Summary {{
+ *     passed:int, failed:int, errored:int, skipped:int,
+ *     files:int, fileErrors:int, fixed:int, duration:number,
+ *     unusedSnapshots:{file:string, key:string}[]
+ * }}
+ * Counts of every ExpectEvent.  fileErrors are errors for a whole file, which couldn't be lexed or imported,
+ * has invalid options, or threw an error nothing caught.  They aren't counted in errored.
+ * fixed is the number of //= lines rewritten by --fix.
+ * unusedSnapshots are saved snapshots that no //= snapshot line uses any more, and the snapshot file they're in. */
+
+// Console functions captured while an expect runs.
+let consoleFunctions = ['log', 'info', 'warn', 'error', 'debug'];
+
+// True while the reporter is called, so what it prints goes to stdout, even when other output goes to stderr.
+let reporting = false;
+
+// A location within the code generated by Expect.createExpectCode(), as it appears in stack traces, with its url, line, and col.
+// Deno runs it from a data uri, and Node from a temporary .expect.mjs file.
+let generatedLocation =
+	/(data:(?:text\/javascript|application\/typescript);charset=utf-8,.*?|file:\/\/\S*?\/\.[^/\s]*?\.expect\.mjs(?:\?\d+)?):(\d+):(\d+)(?=\)|\s|$)/gm;
+
+var Runner = {
+
+	// Milliseconds to wait for each expect, and for each promise it compares, before failing.
+	timeout: 5000,
+
+	// Receives every ExpectEvent.  Set to one of the reporters.
+	reporter: null,
+
+	/** @type {Summary} */
+	summary: null,
+
+	// The url each file's generated code runs from, mapped to the file and the sourceMap() of that code.
+	// Only the latest url of each file is kept.  The others stay so that later errors from timers can still be mapped.
+	sourceMaps: new Map(),
+
+	// Called with the Location of each expect as it starts.
+	onExpect: null,
+
+	// Called with true just before the modules a file imports are loaded, and with false once they are.  See importing().
+	onImporting: null,
+
+	// Key that marks an expected object as partial.  Expect.partialObjects() adds it to objects ending in ...
+	partial,
+
+	// Lines written to the console by the running expect that no //> line has compared yet.  Null when not capturing.
+	output: null,
+
+	// The console functions as they were before being captured.
+	console: null,
+
+	resetSummary() {
+		Runner.summary = {passed: 0, failed: 0, errored: 0, skipped: 0, files: 0, fileErrors: 0, fixed: 0, duration: 0,
+			unusedSnapshots: []};
+	},
+
+	/**
+	 * @param event {ExpectEvent} */
+	report(event) {
+		let summary = Runner.summary;
+		if (event.line === undefined)
+			summary.fileErrors++;
+		else
+			summary[{pass: 'passed', fail: 'failed', error: 'errored', skip: 'skipped'}[event.status]]++;
+		Snapshots.record(event);
+		Fix.record(event);
+		Docs.record(event);
+		Runner.withoutCapture(() => Runner.reporter.event(event));
+	},
+
+	/**
+	 * Map locations in the code run from a url back to a file.  Call before the code runs.
+	 * @param url {string}
+	 * @param file {string}
+	 * @param map {object} The sourceMap() the code was built with. */
+	addSourceMap(url, file, map) {
+		for (let [other, source] of Runner.sourceMaps)
+			if (source.file === file)
+				Runner.sourceMaps.delete(other);
+		Runner.sourceMaps.set(url, {file, map});
+	},
+
+	/**
+	 * @param url {string} A url from a stack trace, where Deno shortens long data uris to their start and end, joined by ......
+	 * @return {?{file:string, map:object}} The file and sourceMap() of the generated code that ran from the url. */
+	findSource(url) {
+		let [start, end] = url.split('......');
+		if (end === undefined)
+			return Runner.sourceMaps.get(url) || null;
+		for (let [other, source] of Runner.sourceMaps)
+			if (other.startsWith(start) && other.endsWith(end))
+				return source;
+		return null;
+	},
+
+	/**
+	 * Report an error nothing caught, like one thrown from a timer, as an error for the file whose code threw it.
+	 * If no file's code is in its stack, such as for a rejection with no stack, the file that ran last is blamed.
+	 * @param error {*} */
+	reportUncaught(error) {
+		let stack = error && typeof error.stack === 'string' ? error.stack : '';
+		let source = [...stack.matchAll(generatedLocation)].map(match => Runner.findSource(match[1])).find(Boolean)
+			|| [...Runner.sourceMaps.values()].pop();
+		if (!source)
+			throw error; // Not from any file, so from expect.js itself.
+		Runner.report({file: source.file, status: 'error', message: 'Uncaught ' + Runner.mapStack(String(error)),
+			stack: Runner.getStack(error), duration: 0});
+	},
+
+	/**
+	 * Called by the generated code around loading the modules the file imports.
+	 * @param starting {boolean} */
+	importing(starting) {
+		if (Runner.onImporting)
+			Runner.onImporting(starting);
+	},
+
+	/**
+	 * Replace the console functions, so that while an expect runs or a file is imported, what it writes goes to Runner.output.
+	 * At other times they write to the console as usual, except to stderr if the reporter owns stdout,
+	 * since output from something like a timer would corrupt what the reporter prints. */
+	captureConsole() {
+		if (Runner.console)
+			return;
+		Runner.console = {};
+		for (let name of consoleFunctions) {
+			let original = Runner.console[name] = console[name];
+			console[name] = (...args) => {
+				if (Runner.output)
+					Runner.output.push(args.map(arg => typeof arg === 'string' ? arg : format(arg)).join(' '));
+				else if (!reporting && Runner.reporter && Runner.reporter.ownsStdout)
+					Runner.console.error.apply(console, args);
+				else
+					original.apply(console, args);
+			};
+		}
+	},
+
+	/**
+	 * Call a function with the console writing as usual, even while an expect runs.  Calls to the reporter go through here.
+	 * @param func {function()} */
+	withoutCapture(func) {
+		let output = Runner.output, wasReporting = reporting;
+		Runner.output = null;
+		reporting = true;
+		try {
+			func();
+		}
+		finally {
+			Runner.output = output;
+			reporting = wasReporting;
+		}
+	},
+
+	/**
+	 * Run the code of a single expect, and report any errors it throws.
+	 * What it writes to the console is captured, and any that isn't compared by a //> line is given to the reporter.
+	 * @param func {function():Promise}
+	 * @param location {Location} of the @expect.
+	 * @param assertions {int} Number of //=, //!, //~, and //> lines in the expect.  If zero, report a pass when it finishes.
+	 * @return {Promise} Resolves when the expect finishes, and never rejects. */
+	async expect(func, location, assertions) {
+		if (Runner.onExpect)
+			Runner.onExpect(location);
+		let start = performance.now();
+		Runner.captureConsole();
+		let fileOutput = Runner.output; // What the file wrote as it was imported, before this expect.
+		Runner.output = [];
+		try {
+			await Runner.settle(func());
+			if (!assertions)
+				Runner.report({...location, status: 'pass', duration: performance.now() - start});
+		}
+		catch (e) {
+			Runner.report({...location, status: 'error', message: Runner.mapStack(String(e)), stack: Runner.getStack(e),
+				duration: performance.now() - start});
+		}
+		finally {
+			let output = Runner.output;
+			Runner.output = fileOutput;
+			if (output.length)
+				Runner.withoutCapture(() => Runner.reporter.output(location, output.join('\n')));
+		}
+	},
+
+	/**
+	 * Replace locations within the generated code with file:line:col of the original file.
+	 * @param text {string} An error message or stack trace.
+	 * @return {string} */
+	mapStack(text) {
+		if (!Runner.sourceMaps.size)
+			return text;
+
+		// Remove stack frames within the generated code that calls the expects, which isn't in the original file.
+		text = text.split('\n').filter(line => {
+			if (!/^\s*at /.test(line))
+				return true;
+			let [, url, genLine, genCol] = line.match(new RegExp(generatedLocation.source)) || [];
+			let source = url && Runner.findSource(url);
+			let original = source && source.map.lookup(+genLine, +genCol);
+			return !source || (original && !original.generated);
+		}).join('\n');
+
+		return text.replace(generatedLocation, (match, url, line, col) => {
+			let source = Runner.findSource(url);
+			if (!source) // Generated from another file, which a previous run of it replaced.
+				return match;
+			let original = source.map.lookup(+line, +col);
+			return original ? `${source.file}:${original.line}:${original.col}` : source.file;
+		}).replace(/^(\s*at )Expect_ZZZ\.\S* \((.*)\)$/gm, '$1$2'); // Names V8 gives the functions of expects.
+	},
+
+	/**
+	 * Get the stack frames of an error, with locations mapped to the original files.
+	 * Frames within expect.js itself, the runtime's internals, and the generated code that calls the expects are removed,
+	 * as is everything after the last frame in the generated code, which is what ran it.
+	 * @param error {*}
+	 * @return {string|undefined} */
+	getStack(error) {
+		if (!error || typeof error.stack !== 'string' || error instanceof TimeoutError)
+			return undefined;
+		let self = import.meta.url.replace(/[?#].*/, '');
+		let frames = error.stack.split(/\r?\n/g)
+			.filter(line => /^\s+at /.test(line) && !line.includes(self) && !/\((node|ext):|at (node|ext):/.test(line));
+		let last = frames.findLastIndex(line => line.search(generatedLocation) !== -1);
+		if (last !== -1)
+			frames = frames.slice(0, last + 1);
+		frames = frames.map(line => Runner.mapStack(line.trim())).filter(Boolean);
+		return frames.length ? frames.join('\n') : undefined;
+	},
+
+	/**
+	 * Wait for a thenable value to resolve, or fail if it takes longer than Runner.timeout.
+	 * Other values are returned as is.
+	 * @param value {*}
+	 * @return {Promise<*>} */
+	async settle(value) {
+		if (!value || typeof value.then !== 'function')
+			return value;
+
+		let timer;
+		let timeout = new Promise((resolve, reject) => {
+			timer = setTimeout(() => reject(new TimeoutError(Runner.timeout)), Runner.timeout);
+		});
+		try {
+			return await Promise.race([value, timeout]);
+		}
+		finally {
+			clearTimeout(timer);
+		}
+	},
+
+	/**
+	 * Report whether the result of func is structurally equal to expected.
+	 * @param func {function():Promise} Returns the actual value.
+	 * @param expected {function():*} Returns the expected value.
+	 * @param location {Location} of the //= line. */
+	async assertEquals(func, expected, location) {
+		let start = performance.now();
+		let actual = await Runner.settle(func());
+		expected = expected();
+		let diff = equals(actual, expected);
+		let event = {...location, status: 'pass', actual: format(actual), expected: format(expected), duration: performance.now() - start};
+		if (diff) {
+			let msg = `Actual result is ${event.actual} but expected ${event.expected}`;
+			if (diff.path !== 'actual')
+				msg += `.  ${diff.path} is ${diff.missing === 'actual' ? 'missing' : format(diff.actual)} ` +
+					`but expected ${diff.missing === 'expected' ? 'it to be missing' : format(diff.expected)}`;
+			Object.assign(event, {status: 'fail', message: msg});
+		}
+		Runner.report(event);
+	},
+
+	/**
+	 * Report whether what func writes to the console is the expected text.
+	 * @param func {function():Promise}
+	 * @param expected {function():(string|RegExp)} The text, with a line break between each console call,
+	 *     or a regex it must match.
+	 * @param location {Location} of the //> line. */
+	async assertOutput(func, expected, location) {
+		let start = performance.now();
+		let output = Runner.output || [];
+		let before = output.length;
+		await Runner.settle(func());
+		let actual = output.splice(before).join('\n');
+		expected = expected();
+		let matches = expected instanceof RegExp ? actual.search(expected) !== -1 : actual === expected;
+		let event = {...location, status: 'pass', actual: format(actual),
+			expected: expected instanceof RegExp ? `output matching ${expected}` : format(expected), duration: performance.now() - start};
+		if (!matches)
+			Object.assign(event, {status: 'fail', message: `Output is ${event.actual} but expected ${event.expected}`});
+		Runner.report(event);
+	},
+
+	/**
+	 * Report whether the result of func is a string that matches a regex.
+	 * If the result is itself a RegExp, it's compared to the regex like assertEquals() would.
+	 * @param func {function():Promise} Returns the actual value.
+	 * @param regex {function():RegExp}
+	 * @param location {Location} of the //= line. */
+	async assertMatches(func, regex, location) {
+		let start = performance.now();
+		let actual = await Runner.settle(func());
+		regex = regex();
+		let matches = actual instanceof RegExp ? !equals(actual, regex) : typeof actual === 'string' && actual.search(regex) !== -1;
+		let event = {...location, status: 'pass', actual: format(actual), expected: regex.toString(), duration: performance.now() - start};
+		if (!matches)
+			Object.assign(event, {status: 'fail', message: `Actual result is ${event.actual} but expected a string matching ${event.expected}`});
+		Runner.report(event);
+	},
+
+	/**
+	 * Report whether the result of func is a number within a tolerance of the expected number.
+	 * @param func {function():Promise} Returns the actual value.
+	 * @param expected {function():number}
+	 * @param tolerance {function():number} The largest allowed difference.
+	 * @param location {Location} of the //~ line. */
+	async assertClose(func, expected, tolerance, location) {
+		let start = performance.now();
+		let actual = await Runner.settle(func());
+		expected = expected();
+		tolerance = tolerance();
+		let close = typeof actual === 'number' && (actual === expected || Math.abs(actual - expected) <= tolerance);
+		let event = {...location, status: 'pass', actual: format(actual), expected: `${format(expected)} ±${format(tolerance)}`,
+			duration: performance.now() - start};
+		if (!close)
+			Object.assign(event, {status: 'fail', message: `Actual result is ${event.actual} but expected ${event.expected}`});
+		Runner.report(event);
+	},
+
+	/**
+	 * Report whether the result of func matches its snapshot from an earlier run.
+	 * @param func {function():Promise} Returns the actual value.
+	 * @param key {string} Identifies the snapshot within its snapshot file.
+	 * @param snapshot {string=} The value saved by an earlier run, formatted.  If undefined, any value passes, and is saved.
+	 * @param location {Location} of the //= line. */
+	async assertSnapshot(func, key, snapshot, location) {
+		let start = performance.now();
+		let actual = format(await Runner.settle(func()), true);
+		let event = {...location, status: 'pass', actual, snapshot: key, duration: performance.now() - start};
+		if (snapshot !== undefined && actual !== snapshot)
+			Object.assign(event, {status: 'fail', expected: snapshot, message: `Actual result doesn't match snapshot ${key}`,
+				diff: diff(snapshot, actual)});
+		Runner.report(event);
+	},
+
+	/**
+	 * Report whether func throws or rejects with an error matching expected.
+	 * @param func {function():Promise}
+	 * @param expected {function|RegExp|string=} An error class the error must be an instance of,
+	 *     a regex its message must match, or its exact message.  If undefined, any error matches.
+	 * @param location {Location} of the //! line. */
+	async assertThrows(func, expected, location) {
+		let start = performance.now();
+		let event = {...location, status: 'pass', expected: Runner.describeError(expected)};
+		try {
+			await Runner.settle(func());
+			Object.assign(event, {status: 'fail', message: `Nothing was thrown but expected ${event.expected}`});
+		}
+		catch (error) {
+			if (error instanceof TimeoutError)
+				throw error;
+
+			let message = error && error.message !== undefined ? error.message : String(error);
+			let matches =
+				expected === undefined ||
+				(typeof expected === 'function' && error instanceof expected) ||
+				(expected instanceof RegExp && expected.test(message)) ||
+				(typeof expected === 'string' && message === expected);
+			event.actual = format(error);
+			if (!matches)
+				Object.assign(event, {status: 'fail', message: `Threw ${event.actual} but expected ${event.expected}`});
+		}
+		event.duration = performance.now() - start;
+		Runner.report(event);
+	},
+
+	/**
+	 * @param expected {function|RegExp|string=}
+	 * @return {string} */
+	describeError(expected) {
+		if (expected === undefined)
+			return 'an error';
+		if (typeof expected === 'function')
+			return expected.name;
+		if (expected instanceof RegExp)
+			return `an error matching ${expected}`;
+		return `an error with message ${format(expected)}`;
+	}
+};
+
+export default Runner;
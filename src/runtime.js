@@ -0,0 +1,481 @@
+/**
+ * The filesystem, path, and process functions expect.js needs, so that it runs on both Deno and Node.
+ * All paths use forward slashes.
+ * Call init() before anything else, since Node's modules can only be loaded asynchronously.
+ */
+let fs, threads, process = globalThis.process;
+
+// Writes to the real stdout, once reserveStdout() has redirected process.stdout.write().
+let writeStdout = null;
+
+var runtime = {
+
+	isDeno: typeof Deno !== 'undefined',
+
+	// True if running within a worker.  Set by init().
+	isWorker: false,
+
+	async init() {
+		if (runtime.isDeno)
+			runtime.isWorker = typeof WorkerGlobalScope !== 'undefined' && globalThis instanceof WorkerGlobalScope;
+		else if (!fs) {
+			fs = await import('node:fs'); // Can't be a top level import, b/c Terser can't handle it.
+			threads = await import('node:worker_threads');
+			runtime.isWorker = !threads.isMainThread;
+		}
+	},
+
+	/** @return {string[]} Command line arguments, not including the runtime or script. */
+	args() {
+		return runtime.isDeno ? Deno.args : process.argv.slice(2);
+	},
+
+	/** @param code {int} */
+	exit(code=0) {
+		runtime.isDeno ? Deno.exit(code) : process.exit(code);
+	},
+
+	/** @return {string} */
+	cwd() {
+		return (runtime.isDeno ? Deno.cwd() : process.cwd()).replace(/\\/g, '/');
+	},
+
+	/**
+	 * @param path {string}
+	 * @return {string} */
+	readTextFile(path) {
+		return runtime.isDeno ? Deno.readTextFileSync(path) : fs.readFileSync(path, {encoding: 'utf8'});
+	},
+
+	/**
+	 * @param path {string}
+	 * @param text {string} */
+	writeTextFile(path, text) {
+		runtime.isDeno ? Deno.writeTextFileSync(path, text) : fs.writeFileSync(path, text);
+	},
+
+	/** @param path {string} */
+	remove(path) {
+		runtime.isDeno ? Deno.removeSync(path) : fs.unlinkSync(path);
+	},
+
+	/**
+	 * Create a directory, and any missing directories above it.
+	 * @param path {string} */
+	mkdir(path) {
+		runtime.isDeno ? Deno.mkdirSync(path, {recursive: true}) : fs.mkdirSync(path, {recursive: true});
+	},
+
+	/**
+	 * @param path {string}
+	 * @return {{name:string, isFile:boolean, isDirectory:boolean}[]} */
+	readDir(path) {
+		if (runtime.isDeno)
+			return [...Deno.readDirSync(path)];
+		return fs.readdirSync(path, {withFileTypes: true}).map(entry =>
+			({name: entry.name, isFile: entry.isFile(), isDirectory: entry.isDirectory()}));
+	},
+
+	/**
+	 * @param path {string}
+	 * @return {{isFile:boolean, isDirectory:boolean}} */
+	stat(path) {
+		if (runtime.isDeno)
+			return Deno.statSync(path);
+		let stat = fs.statSync(path);
+		return {isFile: stat.isFile(), isDirectory: stat.isDirectory()};
+	},
+
+
+	// Paths
+
+	/**
+	 * @param path {string}
+	 * @return {boolean} */
+	isAbsolute(path) {
+		return /^([a-z]:)?[\\/]/i.test(path);
+	},
+
+	/**
+	 * Resolve a sequence of paths to an absolute path, starting from the current directory.
+	 * @param paths {string}
+	 * @return {string} */
+	resolve(...paths) {
+		let result = runtime.cwd();
+		for (let path of paths) {
+			path = path.replace(/\\/g, '/');
+			result = runtime.isAbsolute(path) ? path : result + '/' + path;
+		}
+
+		// Remove . and .. segments.
+		let parts = [];
+		for (let part of result.split('/'))
+			if (part === '..') {
+				if (parts.length > 1)
+					parts.pop();
+			}
+			else if (part !== '.' && (part !== '' || !parts.length))
+				parts.push(part);
+		return parts.join('/') || '/';
+	},
+
+	/**
+	 * @param path {string}
+	 * @param from {string=} Directory to make it relative to.
+	 * @return {string} The path relative to from, which defaults to the current directory. */
+	relative(path, from=runtime.cwd()) {
+		let a = runtime.resolve(from).split('/').filter(Boolean), b = runtime.resolve(path).split('/').filter(Boolean);
+		let same = 0;
+		while (same < a.length && same < b.length && a[same] === b[same])
+			same++;
+		return [...a.slice(same).map(() => '..'), ...b.slice(same)].join('/') || '.';
+	},
+
+	/**
+	 * @param path {string}
+	 * @return {string} */
+	dirname(path) {
+		path = path.replace(/\\/g, '/').replace(/(.)\/+$/, '$1');
+		let idx = path.lastIndexOf('/');
+		if (idx === -1)
+			return '.';
+		return path.slice(0, idx) || '/';
+	},
+
+	/**
+	 * @param path {string} An absolute path.
+	 * @return {string} */
+	toFileUrl(path) {
+		path = path.replace(/\\/g, '/');
+		return 'file://' + (path.startsWith('/') ? '' : '/') +
+			encodeURI(path).replace(/[?#]/g, c => encodeURIComponent(c));
+	},
+
+	/**
+	 * @param url {string}
+	 * @return {string} */
+	fromFileUrl(url) {
+		return decodeURIComponent(url.replace(/^file:\/\//, '')).replace(/^\/([a-z]:)/i, '$1');
+	},
+
+
+	/**
+	 * Call a function with the absolute paths of any files changed within the given files or directories.
+	 * Directories are watched recursively.
+	 * @param paths {string[]}
+	 * @param callback {function(string[])} */
+	watch(paths, callback) {
+		paths = paths.map(path => runtime.resolve(path));
+		if (runtime.isDeno)
+			(async () => {
+				for await (let event of Deno.watchFs(paths))
+					callback(event.paths.map(path => path.replace(/\\/g, '/')));
+			})();
+		else
+			for (let path of paths) {
+				let isFile = runtime.stat(path).isFile;
+				fs.watch(path, {recursive: !isFile}, (type, name) =>
+					callback([isFile || !name ? path : runtime.resolve(path, name)]));
+			}
+	},
+
+	/**
+	 * Ask for Deno permissions that weren't given on the command line.  Deno prompts for each if run in a terminal.
+	 * Does nothing on Node, which has no permissions.
+	 * @param names {string[]} e.g. 'read' or 'net'. */
+	requestPermissions(names) {
+		if (runtime.isDeno)
+			for (let name of names)
+				if (Deno.permissions.querySync({name}).state !== 'granted')
+					Deno.permissions.requestSync({name});
+	},
+
+	/**
+	 * Call a function with each chunk of bytes read from stdin.
+	 * @param callback {function(Uint8Array)}
+	 * @param end {function()} Called when stdin closes. */
+	readStdin(callback, end) {
+		if (runtime.isDeno)
+			(async () => {
+				for await (let chunk of Deno.stdin.readable)
+					callback(chunk);
+				end();
+			})();
+		else {
+			process.stdin.on('data', chunk => callback(new Uint8Array(chunk)));
+			process.stdin.on('end', end);
+		}
+	},
+
+	/**
+	 * Keep stdout for writeStdout() only, by sending everything else written to it to stderr instead.
+	 * This includes the output of workers on Node, but only console.log(), info(), and debug() of this thread on Deno. */
+	reserveStdout() {
+		if (runtime.isDeno)
+			console.log = console.info = console.debug = console.error;
+		else if (!writeStdout) {
+			writeStdout = process.stdout.write.bind(process.stdout);
+			process.stdout.write = process.stderr.write.bind(process.stderr);
+		}
+	},
+
+	/**
+	 * @param bytes {Uint8Array} */
+	writeStdout(bytes) {
+		if (runtime.isDeno)
+			for (let written = 0; written < bytes.length;)
+				written += Deno.stdout.writeSync(bytes.subarray(written));
+		else
+			(writeStdout || process.stdout.write.bind(process.stdout))(bytes);
+	},
+
+	/**
+	 * Run expect.js again in a new process, so that every module is imported fresh.
+	 * Deno is given the same permissions as this process.
+	 * @param args {string[]}
+	 * @return {Promise<int>} The exit code. */
+	async rerun(args) {
+		if (runtime.isDeno) {
+			let granted = name => {
+				try {
+					return Deno.permissions.querySync({name}).state === 'granted';
+				}
+				catch (e) { // Permission doesn't exist in this version of Deno.
+					return false;
+				}
+			};
+			let flags = ['read', 'write', 'net', 'env', 'run', 'sys', 'ffi', 'import'].filter(granted).map(name => `--allow-${name}`);
+			let command = new Deno.Command(Deno.execPath(), {args: ['run', ...flags, Deno.mainModule, ...args]});
+			return (await command.spawn().status).code;
+		}
+
+		let {spawn} = await import('node:child_process');
+		let child = spawn(process.execPath, [...process.execArgv, process.argv[1], ...args], {stdio: 'inherit'});
+		return new Promise(resolve => child.on('exit', code => resolve(code)));
+	},
+
+	/**
+	 * Start a module in a new worker.
+	 * @param url {string}
+	 * onError is called with an error the worker didn't catch, like one thrown from a timer.
+	 * onExit is called with the exit code if the worker stops on its own.  Deno workers only stop with an error.
+	 * @return {{post:function(*), onMessage:function(function(*)), onError:function(function(*)), onExit:function(function(int)),
+	 *     terminate:function()}} */
+	createWorker(url) {
+		if (runtime.isDeno) {
+			let worker = new Worker(url, {type: 'module'});
+			return {
+				post: message => worker.postMessage(message),
+				onMessage: callback => worker.onmessage = event => callback(event.data),
+				onError: callback => worker.onerror = event => {
+					event.preventDefault(); // Otherwise it also stops the main thread.
+					callback(event.error || event.message);
+				},
+				onExit: () => {},
+				terminate: () => worker.terminate()
+			};
+		}
+		let worker = new threads.Worker(new URL(url));
+		return {
+			post: message => worker.postMessage(message),
+			onMessage: callback => worker.on('message', callback),
+			onError: callback => worker.on('error', callback),
+			onExit: callback => worker.on('exit', callback),
+			terminate: () => worker.terminate()
+		};
+	},
+
+	/**
+	 * Communicate with the thread that created this worker.
+	 * @return {{post:function(*), onMessage:function(function(*))}} */
+	parentPort() {
+		if (runtime.isDeno)
+			return {
+				post: message => globalThis.postMessage(message),
+				onMessage: callback => globalThis.onmessage = event => callback(event.data)
+			};
+		return {
+			post: message => threads.parentPort.postMessage(message),
+			onMessage: callback => threads.parentPort.on('message', callback)
+		};
+	},
+
+	/**
+	 * Call a function with errors nothing caught, like one thrown from a timer, and with the reasons of rejected promises
+	 * that have no handler, instead of stopping the process.
+	 * @param callback {function(*)}
+	 * @return {function()} Call to stop. */
+	catchUncaught(callback) {
+		if (runtime.isDeno) {
+			let onError = event => {
+				event.preventDefault();
+				callback(event.error);
+			};
+			let onRejection = event => {
+				event.preventDefault();
+				callback(event.reason);
+			};
+			globalThis.addEventListener('error', onError);
+			globalThis.addEventListener('unhandledrejection', onRejection);
+			return () => {
+				globalThis.removeEventListener('error', onError);
+				globalThis.removeEventListener('unhandledrejection', onRejection);
+			};
+		}
+		let onError = error => callback(error);
+		process.on('uncaughtException', onError);
+		process.on('unhandledRejection', onError);
+		return () => {
+			process.off('uncaughtException', onError);
+			process.off('unhandledRejection', onError);
+		};
+	},
+
+	/**
+	 * Wait until no timers are left to fire, or for at most some time, so errors they throw can still be caught.
+	 * Only Node can list its timers, so Deno waits just for the ones that are already due.
+	 * @param ms {int}
+	 * @return {Promise} */
+	async waitForTimers(ms) {
+		let end = performance.now() + ms;
+		do
+			await new Promise(resolve => setTimeout(resolve));
+		while (!runtime.isDeno && process.getActiveResourcesInfo && process.getActiveResourcesInfo().includes('Timeout')
+			&& performance.now() < end);
+	},
+
+	/**
+	 * @param path {string}
+	 * @return {boolean} True if the file is TypeScript, by its extension. */
+	isTypeScript(path) {
+		return /\.[mc]?ts$/i.test(path);
+	},
+
+	/**
+	 * Remove types from TypeScript code so Node can run it.
+	 * Uses Node's built in type stripping if available, which keeps every line and column in the same place,
+	 * unless the code has enums or other TypeScript that has to be transformed instead.
+	 * Otherwise uses the typescript package installed for the file.
+	 * @param code {string}
+	 * @param file {string}
+	 * @return {Promise<{code:string, sourceMap:?string}>} The source map is null if nothing moved. */
+	async stripTypes(code, file) {
+		let module = await import('node:module');
+		if (module.stripTypeScriptTypes) {
+			// Node warns that it's experimental on the next tick, which could be while the file is imported.
+			// Let it warn now, so the warning isn't captured as output of the file.
+			module.stripTypeScriptTypes('');
+			await new Promise(resolve => process.nextTick(resolve));
+			try {
+				return {code: module.stripTypeScriptTypes(code, {mode: 'strip'}), sourceMap: null};
+			}
+			catch (e) {} // Enums, namespaces, and parameter properties need to be transformed instead.
+			let result = module.stripTypeScriptTypes(code, {mode: 'transform', sourceMap: true});
+			let [comment, base64] = result.match(/\n\/\/# sourceMappingURL=data:application\/json;base64,(\S+)\s*$/);
+			return {code: result.slice(0, -comment.length), sourceMap: Buffer.from(base64, 'base64').toString()};
+		}
+
+		let ts;
+		try {
+			ts = module.createRequire(runtime.resolve(file))('typescript');
+		}
+		catch (e) {}
+		if (!ts || !ts.transpileModule)
+			throw new Error('Running TypeScript requires Node 22.13 or later, or the typescript package to be installed');
+		let result = ts.transpileModule(code, {
+			fileName: file,
+			compilerOptions: {module: 'esnext', target: 'esnext', experimentalDecorators: true, sourceMap: true}
+		});
+		return {code: result.outputText.replace(/\/\/# sourceMappingURL=\S*\s*$/, ''), sourceMap: result.sourceMapText};
+	},
+
+	/**
+	 * Prepare TypeScript code to have its syntax checked like javascript, without running it.
+	 * Deno checks it instead, by importing it within a function that's never called.
+	 * @param code {string} The body of an async function.
+	 * @param file {string} The TypeScript file the code is from.
+	 * @return {Promise<?string>} The code with its types removed.  Null if it was already checked,
+	 *     or if Node can't remove types, since then the whole file can't run, which is reported instead.
+	 * @throws {SyntaxError} */
+	async checkTypeScript(code, file) {
+		code = `async () => {\n${code}\n};`;
+		if (runtime.isDeno)
+			try {
+				await import('data:application/typescript;charset=utf-8,' + encodeURIComponent(code));
+				return null;
+			}
+			catch (e) { // Deno gives a TypeError, with the code and its data uri after the first line.
+				throw new SyntaxError(String(e.message).split('\n')[0].replace(/^SyntaxError: /, ''));
+			}
+
+		try {
+			return (await runtime.stripTypes(code, file)).code.replace(/^export \{\};$/m, ''); // Added to mark .mts as a module.
+		}
+		catch (e) {
+			if (e instanceof SyntaxError)
+				throw e;
+			return null;
+		}
+	},
+
+	/**
+	 * Make the next import of a module run it again.  Adding a query string does that for ES modules,
+	 * but Node caches CommonJS modules by path, like a setup file with no imports or exports.
+	 * @param path {string} */
+	async uncache(path) {
+		if (runtime.isDeno)
+			return;
+		let require = (await import('node:module')).createRequire(runtime.resolve(path));
+		try {
+			delete require.cache[require.resolve(runtime.resolve(path))];
+		}
+		catch (e) {} // It doesn't exist, so importing it will report that.
+	},
+
+	/**
+	 * Beside the original, since imports the code builds as it runs, like import(`./${name}.js`), are relative to it.
+	 * @param file {string}
+	 * @return {string} The absolute path of a temporary file for Node to run the code from.
+	 *     Each has a random part, so that runs at the same time, like from the language server and --watch, don't share one. */
+	tempFile(file) {
+		let name = '.' + file.replace(/^.*\//, '') + '.' + Math.random().toString(36).slice(2, 10) + '.expect.mjs';
+		return runtime.resolve(runtime.dirname(file), name);
+	},
+
+	/**
+	 * Run javascript or TypeScript code as a module.
+	 * Deno imports it from a data uri.
+	 * Node can't resolve bare imports from a data uri, so we write it to a temporary file beside the original instead.
+	 * @param code {string}
+	 * @param file {string} The file the code came from.  If it's TypeScript, so is the code.
+	 * @param onStart {function(string, ?string)=} Called just before the code runs, with the url it runs from,
+	 *     as it appears in stack traces, and the source map of the transpiler if Node transpiled it in a way that moves code.
+	 * @return {Promise<object>} The module's exports. */
+	async importCode(code, file, onStart) {
+		if (runtime.isDeno) {
+			let type = runtime.isTypeScript(file) ? 'application/typescript' : 'text/javascript';
+			// Stack traces shorten long data uris to their start and end, so end each with a different comment.
+			let url = `data:${type};charset=utf-8,` + encodeURIComponent(code + '\n//' + Math.random().toString(36).slice(2, 10));
+			if (onStart)
+				onStart(url, null);
+			return import(url);
+		}
+
+		let sourceMap = null;
+		if (runtime.isTypeScript(file))
+			({code, sourceMap} = await runtime.stripTypes(code, file));
+		let path = runtime.tempFile(file);
+		let url = runtime.toFileUrl(path);
+		runtime.writeTextFile(path, code);
+		try {
+			if (onStart)
+				onStart(url, sourceMap);
+			return await import(url);
+		}
+		finally {
+			runtime.remove(path);
+		}
+	}
+};
+
+export default runtime;
@@ -0,0 +1,154 @@
+/**
+ * Lines ending in "//= snapshot" compare their result to the result of an earlier run.
+ * Those results are stored in a .snap.json file beside each source file, keyed by file name and line.
+ */
+import runtime from './runtime.js';
+
+/**
+ * Compare two multi-line strings, line by line.
+ * @param expected {string}
+ * @param actual {string}
+ * @param context {int} Number of unchanged lines to keep around each change.
+ * @return {string} Lines only in expected start with "- ", lines only in actual with "+ ",
+ *     and unchanged lines with two spaces.  Longer runs of unchanged lines are replaced with "  ...". */
+export function diff(expected, actual, context=2) {
+	let a = expected.split('\n'), b = actual.split('\n');
+
+	// Length of the longest common subsequence of a.slice(i) and b.slice(j).
+	// Skipped for huge inputs, which then show every line that isn't at the same position as changed.
+	let lcs = (i, j) => 0;
+	if (a.length * b.length <= 1e6) {
+		let table = Array.from({length: a.length + 1}, () => new Uint32Array(b.length + 1));
+		for (let i=a.length-1; i>=0; i--)
+			for (let j=b.length-1; j>=0; j--)
+				table[i][j] = a[i] === b[j] ? table[i+1][j+1] + 1 : Math.max(table[i+1][j], table[i][j+1]);
+		lcs = (i, j) => table[i][j];
+	}
+
+	let lines = [], i = 0, j = 0;
+	while (i < a.length || j < b.length) {
+		if (i < a.length && j < b.length && a[i] === b[j]) {
+			lines.push('  ' + a[i]);
+			i++;
+			j++;
+		}
+		else if (i < a.length && (j === b.length || lcs(i+1, j) >= lcs(i, j+1)))
+			lines.push('- ' + a[i++]);
+		else
+			lines.push('+ ' + b[j++]);
+	}
+
+	// Collapse unchanged lines that are far from any change.
+	let changed = lines.map(line => line[0] !== ' ');
+	let near = index => changed.slice(Math.max(0, index - context), index + context + 1).includes(true);
+	return lines
+		.map((line, index) => near(index) ? line : null)
+		.filter((line, index, all) => line !== null || all[index - 1] !== null)
+		.map(line => line === null ? '  ...' : line)
+		.join('\n');
+}
+
+var Snapshots = {
+
+	// If true, replace every snapshot with the actual result and remove the unused ones, instead of comparing.
+	update: false,
+
+	// If false, never write snapshot files, e.g. while a file is being edited and its results may be temporary.
+	save: true,
+
+	// Snapshots of the file being run: {file:string, path:string, saved:Object<string, string>, used:Set<string>, changed:boolean}
+	current: null,
+
+	/**
+	 * @param file {string} A source file.
+	 * @return {string} Path of its snapshot file. */
+	path(file) {
+		return file + '.snap.json';
+	},
+
+	/**
+	 * @param file {string}
+	 * @param line {int} Line of the //= snapshot.
+	 * @return {string} */
+	key(file, line) {
+		return file.replace(/^.*[\\/]/, '') + ':' + line;
+	},
+
+	/**
+	 * Load the snapshots of a file, before creating its expect code.
+	 * @param file {string}
+	 * @throws {Error} If the snapshot file isn't valid JSON. */
+	open(file) {
+		let path = Snapshots.path(file), text;
+		try {
+			text = runtime.readTextFile(path);
+		}
+		catch (e) { // Doesn't exist yet.
+			text = '{}';
+		}
+		let saved;
+		try {
+			saved = JSON.parse(text);
+		}
+		catch (e) {
+			throw new Error(`Invalid snapshot file ${path}: ${e.message}`);
+		}
+		Snapshots.current = {file, path, saved, used: new Set(), changed: false};
+	},
+
+	/**
+	 * Called by Expect.createExpectCode() for each //= snapshot line.
+	 * @param key {string}
+	 * @return {string|undefined} The saved snapshot, or undefined if there's none yet or it's being updated. */
+	use(key) {
+		let current = Snapshots.current;
+		if (!current)
+			return undefined;
+		current.used.add(key);
+		return Snapshots.update ? undefined : current.saved[key];
+	},
+
+	/**
+	 * Save the actual result of a //= snapshot line that passed, if it's new or being updated.
+	 * Called by Runner.report() for every event.
+	 * @param event {ExpectEvent} */
+	record(event) {
+		let current = Snapshots.current;
+		if (!current || event.snapshot === undefined || event.file !== current.file || event.status !== 'pass')
+			return;
+		if (current.saved[event.snapshot] !== event.actual) {
+			current.saved[event.snapshot] = event.actual;
+			current.changed = true;
+		}
+	},
+
+	/**
+	 * Write the snapshot file if any snapshot was added or updated, after the expects of the file have run.
+	 * @param all {boolean} False if some expects of the file were filtered out or skipped,
+	 *     so it's unknown whether their snapshots are used.
+	 * @return {string[]} Keys of saved snapshots that no //= snapshot line uses.  They're removed instead if updating. */
+	close(all=true) {
+		let {path, saved, used, changed} = Snapshots.current;
+		Snapshots.current = null;
+
+		let unused = all ? Object.keys(saved).filter(key => !used.has(key)) : [];
+		if (Snapshots.update && unused.length) {
+			for (let key of unused)
+				delete saved[key];
+			unused = [];
+			changed = true;
+		}
+
+		if (changed && Snapshots.save) {
+			let line = key => parseInt(key.split(':').pop());
+			let keys = Object.keys(saved).sort((a, b) => line(a) - line(b) || (a < b ? -1 : 1));
+			if (keys.length)
+				runtime.writeTextFile(path, JSON.stringify(Object.fromEntries(keys.map(key => [key, saved[key]])), null, '\t') + '\n');
+			else
+				runtime.remove(path);
+		}
+		return unused;
+	}
+};
+
+export default Snapshots;
@@ -0,0 +1,151 @@
+/**
+ * Build generated code while tracking which line and column of the original file each part came from,
+ * so that locations in the generated code can be mapped back.
+ *
+ * @expect
+ * let map = sourceMap();
+ * map.add('let a = ');
+ * map.add('f(1);\nf(2);', 10, 5);
+ * map.code //= 'let a = f(1);\nf(2);'
+ * map.lookup(1, 1) //= null
+ * map.lookup(1, 11) //= {line: 10, col: 7, generated: false}
+ * map.lookup(2, 3) //= {line: 11, col: 3, generated: false}
+ * @expect
+ * let map = sourceMap();
+ * map.add('abcdef', 3, 1);
+ * map.compose({mappings: 'AAAA,EAAI'}); // A transpiler removed 'cd'.
+ * map.lookup(1, 3) //= {line: 3, col: 5, generated: false}
+ *
+ * @return {{
+ *     code:string,
+ *     add:function(string, int=, int=, boolean=),
+ *     compose:function(string|object),
+ *     lookup:function(int, int):?{line:int, col:int, generated:boolean}
+ * }} */
+export default function sourceMap() {
+	let line = 1, col = 1;
+
+	// [generated line, generated col, original line, original col, generated] at the start of each mapped part.
+	// Original line is undefined for generated code that has no original location.
+	// Generated is true for generated code that's only attributed to an original location.
+	let segments = [];
+
+	// Segments of the source map from transpiling the code, if it was transpiled after it was built.
+	let transpiled = null;
+
+	let addSegment = (origLine, origCol, generated) => {
+		let last = segments[segments.length - 1];
+		if (last && last[0] === line) {
+			// Skip if it continues the last segment.
+			if (last[2] === origLine && (origLine === undefined || (last[3] - last[1] === origCol - col && last[4] === generated)))
+				return;
+			if (last[1] === col) // Replace an empty segment.
+				segments.pop();
+		}
+		segments.push([line, col, origLine, origCol, generated]);
+	};
+
+	return {
+		code: '',
+
+		/**
+		 * Append code.
+		 * @param text {string}
+		 * @param origLine {int=} Line of the original file where the text came from.  If undefined, it's generated.
+		 *     Each line after the first within text maps to the next original line, starting at column 1.
+		 * @param origCol {int=}
+		 * @param generated {boolean=} True if the text is generated code that's only attributed to the original location,
+		 *     like the code that calls an expect. */
+		add(text, origLine, origCol, generated=false) {
+			text += '';
+			let lines = text.split('\n');
+			for (let i=0; i<lines.length; i++) {
+				if (i) {
+					line++;
+					col = 1;
+				}
+				if (origLine === undefined)
+					addSegment();
+				else
+					addSegment(origLine + i, i ? 1 : origCol, generated);
+				col += lines[i].length;
+			}
+			this.code += text;
+		},
+
+		/**
+		 * Use the source map of a transpiler that moved the code around, such as when Node transforms TypeScript,
+		 * so lookups take locations in its output.
+		 * @param json {string|object} A source map whose only source is this code. */
+		compose(json) {
+			transpiled = decode((typeof json === 'string' ? JSON.parse(json) : json).mappings);
+		},
+
+		/**
+		 * Find the original location of a location in the generated code.
+		 * @param genLine {int}
+		 * @param genCol {int}
+		 * @return {?{line:int, col:int, generated:boolean}} Null if that part of the code was generated
+		 *     and has no original location. */
+		lookup(genLine, genCol) {
+			if (transpiled) {
+				let built = find(transpiled, genLine, genCol);
+				if (!built)
+					return null;
+				({line: genLine, col: genCol} = built);
+			}
+			return find(segments, genLine, genCol);
+		}
+	};
+}
+
+/**
+ * @param segments {Array[]} [generated line, generated col, original line, original col, generated], in order.
+ * @param genLine {int}
+ * @param genCol {int}
+ * @return {?{line:int, col:int, generated:boolean}} */
+function find(segments, genLine, genCol) {
+	let found;
+	for (let segment of segments) {
+		if (segment[0] > genLine || (segment[0] === genLine && segment[1] > genCol))
+			break;
+		found = segment;
+	}
+	if (!found || found[2] === undefined)
+		return null;
+	if (found[0] !== genLine) // The generated line has no segment, e.g. an empty line.
+		return {line: found[2] + genLine - found[0], col: 1, generated: !!found[4]};
+	return {line: found[2], col: found[3] + genCol - found[1], generated: !!found[4]};
+}
+
+let base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Read the mappings of a source map into segments like the ones sourceMap() builds, with lines and columns from 1.
+ * @param mappings {string} Lines separated by ;, each with segments separated by , of base64 VLQ fields.
+ * @expect decode('AAAA;AACA,EAAE') //= [[1, 1, 1, 1], [2, 1, 2, 1], [2, 3, 2, 3]]
+ * decode('AAKC,EAAD;;A') //= [[1, 1, 6, 2], [1, 3, 6, 1], [3, 1]]
+ * decode('gBAAA') //= [[1, 17, 1, 1]]
+ * @return {Array[]} */
+function decode(mappings) {
+	let result = [];
+	let fields = [0, 0, 0, 0, 0]; // Generated col, source, original line, original col, name.  Each is relative to the last.
+	mappings.split(';').forEach((text, line) => {
+		fields[0] = 0; // Except generated col, which starts over on each line.
+		for (let segment of text.split(',').filter(Boolean)) {
+			let values = [], value = 0, shift = 0;
+			for (let c of segment) {
+				let digit = base64.indexOf(c);
+				value += (digit & 31) * 2**shift; // Not <<, which overflows after 31 bits.
+				shift += 5;
+				if (!(digit & 32)) { // The last digit of a value.  Its lowest bit is the sign.
+					values.push(value % 2 ? -(value - 1) / 2 : value / 2);
+					value = shift = 0;
+				}
+			}
+			values.forEach((value, i) => fields[i] += value);
+			result.push(values.length < 4 ? [line + 1, fields[0] + 1] : [line + 1, fields[0] + 1, fields[2] + 1, fields[3] + 1]);
+		}
+	});
+	return result;
+}
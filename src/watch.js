@@ -0,0 +1,79 @@
+/**
+ * Re-run the expects of changed files, and of every file that imports them.
+ */
+import runtime from './runtime.js';
+
+/**
+ * Find every file that imports one of the changed files, directly or through other files.
+ * @param changed {string[]} Absolute paths.
+ * @param imports {Map<string, string[]>} The absolute paths each file imports, keyed by its absolute path.
+ * @return {Set<string>} The changed files and everything that depends on them. */
+export function findDependents(changed, imports) {
+	let result = new Set(changed);
+	let queue = [...changed];
+	while (queue.length) {
+		let path = queue.shift();
+		for (let [file, paths] of imports)
+			if (!result.has(file) && paths.includes(path)) {
+				result.add(file);
+				queue.push(file);
+			}
+	}
+	return result;
+}
+
+/**
+ * Run every file, then watch for changes and run again, until the process is stopped.
+ * Each run happens in a new process, since modules that were already imported can't be reloaded.
+ *
+ * @param roots {string[]} Files and directories to watch.
+ * @param findFiles {function():string[]} Returns every file that can be run.
+ * @param getImports {function(string):Promise<string[]>} Returns the absolute paths of the files a file imports.
+ * @param run {function(string[]):Promise} Run the expects of the given files. */
+export default async function watch(roots, findFiles, getImports, run) {
+	let imports = new Map(); // absolute path -> absolute paths it imports.
+	let files = new Map(); // absolute path -> path as given to run().
+	let update = async paths => {
+		for (let path of paths) {
+			let file = files.get(path);
+			if (file)
+				try {
+					imports.set(path, await getImports(file));
+				}
+				catch (e) { // Deleted.
+					imports.delete(path);
+				}
+		}
+	};
+	let refreshFiles = async () => {
+		files = new Map(findFiles().map(file => [runtime.resolve(file), file]));
+		for (let path of imports.keys())
+			if (!files.has(path))
+				imports.delete(path);
+		await update([...files.keys()].filter(path => !imports.has(path)));
+	};
+
+	await refreshFiles();
+	await run([...files.values()]);
+
+	// Collect changes for a short time, since one save can cause several events.
+	let changed = new Set(), timer, running = Promise.resolve();
+	runtime.watch(roots, paths => {
+		for (let path of paths)
+			changed.add(path);
+		clearTimeout(timer);
+		timer = setTimeout(() => {
+			let paths = [...changed];
+			changed.clear();
+			running = running.then(async () => {
+				await refreshFiles();
+				await update(paths);
+				let affected = [...findDependents(paths, imports)].filter(path => files.has(path));
+				if (affected.length) {
+					console.clear(); // Replace the output of the previous run.
+					await run(affected.map(path => files.get(path)));
+				}
+			});
+		}, 100);
+	});
+}